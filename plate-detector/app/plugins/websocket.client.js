@@ -0,0 +1,244 @@
+const RECONNECT_BASE_DELAY = 1000
+const RECONNECT_MAX_DELAY = 30000
+const SUBSCRIBE_TIMEOUT = 3000
+const MAX_ALERTS = 5
+
+export default defineNuxtPlugin(() => {
+  // Create reactive state that will be available globally
+  const websocketState = reactive({
+    websocket: null,
+    connected: false,
+    sessionId: null,
+    logs: [],
+    processedImages: [],
+    progress: null,
+    result: null,
+    error: null,
+    alerts: []
+  })
+
+  const listeners = new Map()
+  const pendingSubscriptions = new Map()
+  let reconnectAttempts = 0
+  let reconnectTimer = null
+  let manuallyClosed = false
+
+  const getUrl = () => {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:'
+    return `${protocol}//${window.location.host}/api/websocket`
+  }
+
+  const send = (data) => {
+    const ws = websocketState.websocket
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(data))
+      return true
+    }
+    return false
+  }
+
+  const emit = (type, data) => {
+    for (const handler of listeners.get(type) || []) {
+      try {
+        handler(data)
+      } catch (error) {
+        console.error(`Error in WebSocket listener for ${type}:`, error)
+      }
+    }
+  }
+
+  const handleMessage = (data) => {
+    // Las alertas de listas de vigilancia llegan a todos los clientes, sea cual sea su sesión
+    if (data.type === 'alert') {
+      websocketState.alerts.unshift(data)
+      websocketState.alerts.splice(MAX_ALERTS)
+      emit(data.type, data)
+      return
+    }
+
+    // Mensajes de otra sesión (p. ej. tras cambiar de suscripción) se ignoran
+    if (data.sessionId && websocketState.sessionId && data.sessionId !== websocketState.sessionId) return
+
+    switch (data.type) {
+      case 'subscribed': {
+        const resolve = pendingSubscriptions.get(data.sessionId)
+        if (resolve) resolve(true)
+        break
+      }
+      case 'log':
+        websocketState.logs.push(data)
+        break
+      case 'processed_image':
+        websocketState.processedImages.push(data)
+        break
+      case 'progress':
+        websocketState.progress = data
+        break
+      case 'session_complete':
+        // El resumen final incluye todo lo emitido antes de suscribirse
+        if (Array.isArray(data.logs) && data.logs.length > websocketState.logs.length) {
+          websocketState.logs.splice(0, websocketState.logs.length, ...data.logs)
+        }
+        if (Array.isArray(data.processedImages) && data.processedImages.length > websocketState.processedImages.length) {
+          websocketState.processedImages.splice(0, websocketState.processedImages.length, ...data.processedImages)
+        }
+        break
+      case 'analysis_complete':
+        websocketState.result = data
+        break
+      case 'analysis_error':
+        websocketState.error = data.error
+        break
+    }
+
+    emit(data.type, data)
+  }
+
+  const scheduleReconnect = () => {
+    if (manuallyClosed || reconnectTimer) return
+
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** reconnectAttempts, RECONNECT_MAX_DELAY)
+    reconnectAttempts++
+    console.log(`WebSocket reconnecting in ${delay}ms (attempt ${reconnectAttempts})`)
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null
+      connect()
+    }, delay)
+  }
+
+  const connect = () => {
+    if (websocketState.websocket) return
+    manuallyClosed = false
+
+    const ws = new WebSocket(getUrl())
+    websocketState.websocket = ws
+
+    ws.onopen = () => {
+      websocketState.connected = true
+      reconnectAttempts = 0
+      console.log('WebSocket connected')
+
+      // Re-suscribirse a la sesión activa tras una reconexión
+      if (websocketState.sessionId) {
+        send({ type: 'subscribe', sessionId: websocketState.sessionId })
+      }
+    }
+
+    ws.onmessage = (event) => {
+      try {
+        handleMessage(JSON.parse(event.data))
+      } catch (error) {
+        console.error('Error parsing WebSocket message:', error)
+      }
+    }
+
+    ws.onclose = () => {
+      websocketState.connected = false
+      websocketState.websocket = null
+      scheduleReconnect()
+    }
+
+    ws.onerror = (error) => {
+      console.error('WebSocket error:', error)
+    }
+  }
+
+  const disconnect = () => {
+    manuallyClosed = true
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer)
+      reconnectTimer = null
+    }
+    if (websocketState.websocket) {
+      websocketState.websocket.close()
+      websocketState.websocket = null
+    }
+    websocketState.connected = false
+  }
+
+  /**
+   * Se suscribe a los eventos de una sesión de procesamiento.
+   * Resuelve cuando el servidor confirma la suscripción (o tras un timeout).
+   */
+  const subscribe = (sessionId) => {
+    if (sessionId !== websocketState.sessionId) {
+      websocketState.sessionId = sessionId
+      websocketState.progress = null
+      websocketState.result = null
+      websocketState.error = null
+      clearLogs()
+      clearProcessedImages()
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => finish(false), SUBSCRIBE_TIMEOUT)
+      const finish = (acknowledged) => {
+        clearTimeout(timer)
+        pendingSubscriptions.delete(sessionId)
+        resolve(acknowledged)
+      }
+      pendingSubscriptions.set(sessionId, finish)
+
+      // Si no hay conexión, onopen enviará la suscripción
+      if (!websocketState.websocket) connect()
+      send({ type: 'subscribe', sessionId })
+    })
+  }
+
+  const unsubscribe = () => {
+    websocketState.sessionId = null
+    send({ type: 'unsubscribe' })
+  }
+
+  /**
+   * Registra un listener para un tipo de mensaje. Devuelve la función para quitarlo.
+   */
+  const on = (type, handler) => {
+    if (!listeners.has(type)) listeners.set(type, new Set())
+    listeners.get(type).add(handler)
+    return () => listeners.get(type)?.delete(handler)
+  }
+
+  const clearLogs = () => {
+    websocketState.logs.splice(0)
+  }
+
+  const clearProcessedImages = () => {
+    websocketState.processedImages.splice(0)
+  }
+
+  const dismissAlert = (alert) => {
+    const index = websocketState.alerts.indexOf(alert)
+    if (index !== -1) websocketState.alerts.splice(index, 1)
+  }
+
+  // Auto-connect on plugin initialization
+  if (import.meta.client) {
+    connect()
+  }
+
+  return {
+    provide: {
+      websocket: {
+        connect,
+        disconnect,
+        subscribe,
+        unsubscribe,
+        on,
+        clearLogs,
+        clearProcessedImages,
+        dismissAlert,
+        connected: computed(() => websocketState.connected),
+        sessionId: computed(() => websocketState.sessionId),
+        logs: computed(() => websocketState.logs),
+        processedImages: computed(() => websocketState.processedImages),
+        progress: computed(() => websocketState.progress),
+        result: computed(() => websocketState.result),
+        alerts: computed(() => websocketState.alerts),
+        // Internal state for updating
+        _state: websocketState
+      }
+    }
+  }
+})
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises'
+import path from 'path'
+import { parseArgs } from 'util'
+import { execSync } from 'child_process'
+import { runAnalysis } from './server/utils/analysis.js'
+import { createProcessingLogger } from './server/utils/processing-logger.js'
+import { resolvePipelineRequest } from './server/utils/pipeline/profiles.js'
+import { resolveDatasetImage } from './server/utils/dataset.js'
+import {
+  GROUND_TRUTH_PATH,
+  loadGroundTruth,
+  normalizePlateText,
+  characterErrorRate
+} from './server/utils/ground-truth.js'
+
+// Uso: npm run benchmark -- --pipeline simple [--limit 20] [--filter 1533] [--output resultados.json]
+const { values: args } = parseArgs({
+  options: {
+    pipeline: { type: 'string', default: 'simple' },
+    manifest: { type: 'string', default: GROUND_TRUTH_PATH },
+    filter: { type: 'string' },
+    limit: { type: 'string' },
+    output: { type: 'string' }
+  }
+})
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)
+  return sorted[Math.max(0, index)]
+}
+
+function currentCommit() {
+  try {
+    return execSync('git rev-parse --short HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim()
+  } catch {
+    return null
+  }
+}
+
+async function benchmarkImage(image, expected, pipeline) {
+  const imagePath = resolveDatasetImage(image)
+  const logger = createProcessingLogger(`benchmark-${image}`, { quiet: true })
+  const start = Date.now()
+
+  // Imágenes del manifiesto que no están en el dataset local no cuentan en las métricas
+  const exists = await fs.access(imagePath).then(() => true, () => false)
+  if (!exists) {
+    return { image, expected, skipped: true, error: 'Imagen no encontrada en test-dataset' }
+  }
+
+  try {
+    const response = await runAnalysis({ imagePath, pipeline, logger })
+    const predicted = response.plateText || null
+
+    return {
+      image,
+      expected,
+      predicted,
+      confidence: response.plateConfidence,
+      exactMatch: predicted !== null && normalizePlateText(predicted) === normalizePlateText(expected),
+      cer: characterErrorRate(predicted, expected),
+      detected: Boolean(response.hasPlate),
+      latencyMs: response.processingTimeMs,
+      skipped: false,
+      error: null
+    }
+  } catch (error) {
+    return {
+      image,
+      expected,
+      predicted: null,
+      confidence: 0,
+      exactMatch: false,
+      cer: 1,
+      detected: false,
+      latencyMs: Date.now() - start,
+      skipped: false,
+      error: error.message
+    }
+  }
+}
+
+function summarize(results) {
+  // Los errores del pipeline cuentan como fallos; sólo se excluyen las imágenes ausentes
+  const evaluated = results.filter(result => !result.skipped)
+  const latencies = evaluated.map(result => result.latencyMs).sort((a, b) => a - b)
+  const rate = (count) => evaluated.length > 0 ? count / evaluated.length : null
+
+  return {
+    images: results.length,
+    evaluated: evaluated.length,
+    skipped: results.length - evaluated.length,
+    errors: evaluated.filter(result => result.error).length,
+    exactMatches: evaluated.filter(result => result.exactMatch).length,
+    exactMatchRate: rate(evaluated.filter(result => result.exactMatch).length),
+    meanCer: rate(evaluated.reduce((sum, result) => sum + result.cer, 0)),
+    detectionRecall: rate(evaluated.filter(result => result.detected).length),
+    latencyMs: {
+      p50: percentile(latencies, 50),
+      p90: percentile(latencies, 90),
+      p95: percentile(latencies, 95),
+      p99: percentile(latencies, 99),
+      max: latencies.at(-1) ?? null
+    }
+  }
+}
+
+async function main() {
+  const manifest = await loadGroundTruth(args.manifest)
+  let entries = Object.entries(manifest.images).filter(([, label]) => label.plateText)
+
+  if (args.filter) entries = entries.filter(([image]) => image.includes(args.filter))
+  if (args.limit) entries = entries.slice(0, Number(args.limit))
+
+  if (entries.length === 0) {
+    console.error(`❌ No hay imágenes etiquetadas en ${args.manifest}`)
+    process.exit(1)
+  }
+
+  // El benchmark no guarda imágenes intermedias
+  const resolved = await resolvePipelineRequest(args.pipeline, { pipeline: args.pipeline })
+  const pipeline = { ...resolved, saveImages: false, response: { includeSessionData: false } }
+
+  console.log(`📊 BENCHMARK: pipeline "${pipeline.name}"${pipeline.profile ? ` (perfil ${pipeline.profile})` : ''}`)
+  console.log(`   ${entries.length} imágenes etiquetadas en ${args.manifest}`)
+  console.log('='.repeat(60))
+
+  const startedAt = new Date().toISOString()
+  const results = []
+
+  for (const [index, [image, label]] of entries.entries()) {
+    const result = await benchmarkImage(image, label.plateText, pipeline)
+    results.push(result)
+
+    if (result.skipped) {
+      console.log(`${index + 1}/${entries.length} ${image}: ⏭️ ${result.error}`)
+      continue
+    }
+
+    const status = result.error ? `⚠️ ${result.error}` : result.exactMatch ? '✅' : '❌'
+    console.log(`${index + 1}/${entries.length} ${image}: ${result.predicted || '—'} (esperado ${result.expected}) ${status} ${result.latencyMs}ms`)
+  }
+
+  const summary = summarize(results)
+  const pct = (value) => value === null ? '—' : `${(value * 100).toFixed(1)}%`
+
+  console.log('='.repeat(60))
+  console.log(`🎯 Coincidencia exacta: ${pct(summary.exactMatchRate)} (${summary.exactMatches}/${summary.evaluated})`)
+  console.log(`🔤 CER medio: ${pct(summary.meanCer)}`)
+  console.log(`🚗 Recall de detección: ${pct(summary.detectionRecall)}`)
+  console.log(`⏱️ Latencia p50/p90/p95/p99: ${summary.latencyMs.p50}/${summary.latencyMs.p90}/${summary.latencyMs.p95}/${summary.latencyMs.p99} ms`)
+  if (summary.errors > 0) console.log(`⚠️ ${summary.errors} imágenes con error`)
+  if (summary.skipped > 0) console.log(`⏭️ ${summary.skipped} imágenes no encontradas en test-dataset`)
+
+  const report = {
+    commit: currentCommit(),
+    pipeline: pipeline.name,
+    profile: pipeline.profile,
+    params: pipeline.params,
+    manifest: path.resolve(args.manifest),
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    summary,
+    results
+  }
+
+  const outputPath = args.output ||
+    path.join('benchmark-results', `${startedAt.replace(/[:.]/g, '-')}-${args.pipeline}.json`)
+  await fs.mkdir(path.dirname(outputPath), { recursive: true })
+  await fs.writeFile(outputPath, JSON.stringify(report, null, 2) + '\n')
+
+  console.log(`💾 Resultados guardados en ${outputPath}`)
+  process.exit(0)
+}
+
+main().catch((error) => {
+  console.error('❌ Error en el benchmark:', error.message)
+  process.exit(1)
+})
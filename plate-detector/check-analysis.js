@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import sharp from 'sharp'
+
+// Uso: npm run check:analysis
+// Comprobaciones de las etapas posteriores al OCR y del historial con lecturas fijas: no necesita modelos ni dataset
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'check-analysis-'))
+let failures = 0
+
+// El historial se escribe en un directorio temporal; los módulos leen la ruta al importarse
+process.env.SESSIONS_PATH = path.join(workDir, 'sessions.jsonl')
+const { registerPipelineStep, getPipeline, runPipeline } = await import('./server/utils/pipeline/engine.js')
+const { buildAnalysisResponse } = await import('./server/utils/analysis.js')
+const { createProcessingLogger } = await import('./server/utils/processing-logger.js')
+const { buildSessionRecord, recordSession, parseSearchQuery, searchSessions } = await import('./server/utils/session-store.js')
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(`✓ ${name}`)
+  } else {
+    failures++
+    console.error(`✗ ${name}${detail ? `: ${detail}` : ''}`)
+  }
+}
+
+// Etapa de prueba que sustituye detección, regiones y OCR por lecturas conocidas
+registerPipelineStep('fixture-readings', async (context, { readings }) => {
+  context.readings.push(...readings.map(reading => ({ words: [], variation: 'focused', region: 'vehicle', ...reading })))
+})
+
+// Ejecuta las etapas desde `correction` del pipeline indicado sobre las lecturas dadas
+async function analyzeReadings(pipelineName, readings) {
+  const pipeline = getPipeline(pipelineName)
+  const fromCorrection = pipeline.steps.findIndex(({ step }) => step === 'correction')
+  const config = {
+    ...pipeline,
+    saveImages: false,
+    steps: [{ step: 'fixture-readings', options: { readings } }, ...pipeline.steps.slice(fromCorrection)]
+  }
+
+  const imagePath = path.join(workDir, 'blank.png')
+  await sharp({ create: { width: 32, height: 16, channels: 3, background: '#ffffff' } }).png().toFile(imagePath)
+
+  const logger = createProcessingLogger(`check-${pipelineName}`, { quiet: true })
+  const context = await runPipeline(config, { imagePath, logger })
+  return { response: buildAnalysisResponse(context, config, logger), logger }
+}
+
+async function checkCorrectionSurvivesConsensus() {
+  console.log('\n--- Corrección del OCR en el pipeline por defecto (enhanced) ---')
+  const { response } = await analyzeReadings('enhanced', [
+    { text: 'GZW-0O2-A', confidence: 0.8, label: 'vehículo (focused)' },
+    { text: 'GZW-0O2-A', confidence: 0.6, label: 'vehículo (high_contrast)', variation: 'high_contrast' }
+  ])
+
+  check('La placa corregida es la lectura final', response.plateText === 'GZW-002-A', response.plateText)
+  check('La respuesta incluye plateConsensus', Boolean(response.plateConsensus))
+  check('La respuesta incluye plateCorrection', Boolean(response.plateCorrection))
+  check('plateCorrection conserva la lectura original',
+    response.plateCorrection?.originalText === 'GZW-0O2-A', response.plateCorrection?.originalText)
+  check('plateCorrection lista la sustitución O→0',
+    response.plateCorrection?.substitutions.some(s => s.from === 'O' && s.to === '0'),
+    JSON.stringify(response.plateCorrection?.substitutions))
+}
+
+async function checkCorrectionKeepsOneReading() {
+  console.log('\n--- Corrección con lecturas crudas distintas ---')
+  const { response } = await analyzeReadings('enhanced', [
+    { text: 'GZW-0O2-A', confidence: 0.8, label: 'vehículo (focused)' },
+    { text: 'GZW-00Z-A', confidence: 0.6, label: 'vehículo (high_contrast)', variation: 'high_contrast' }
+  ])
+
+  const substitutions = response.plateCorrection?.substitutions || []
+  check('Ambas lecturas votan por la misma placa', response.plateText === 'GZW-002-A', response.plateText)
+  check('plateCorrection usa la lectura más segura', response.plateCorrection?.originalText === 'GZW-0O2-A',
+    response.plateCorrection?.originalText)
+  check('Las sustituciones son sólo las de esa lectura',
+    substitutions.length > 0 && substitutions.every(s => s.from === 'O' && s.to === '0'), JSON.stringify(substitutions))
+}
+
+async function checkSearchCoversCandidates() {
+  console.log('\n--- Búsqueda en todas las lecturas del historial ---')
+  const { response, logger } = await analyzeReadings('enhanced', [
+    { text: 'GZW-002-A', confidence: 0.9, label: 'vehículo (focused)' },
+    { text: 'XYZ-98-76', confidence: 0.3, label: 'imagen completa (focused)', region: 'full' }
+  ])
+  await recordSession(buildSessionRecord({ response, logger, imageHash: 'check' }))
+
+  check('La lectura descartada no es la placa elegida', response.plateText === 'GZW-002-A', response.plateText)
+
+  const exact = await searchSessions(parseSearchQuery({ q: 'XYZ-98-76', mode: 'wildcard' }))
+  check('La búsqueda exacta encuentra un candidato descartado', exact.total === 1, `total ${exact.total}`)
+  check('La coincidencia viene del candidato', exact.sessions[0]?.match.source === 'candidate', exact.sessions[0]?.match.source)
+
+  const fuzzy = await searchSessions(parseSearchQuery({ q: 'XYZ-98-7B', mode: 'fuzzy' }))
+  check('La búsqueda difusa tolera confusiones en un candidato', fuzzy.total === 1, `total ${fuzzy.total}`)
+}
+
+try {
+  await checkCorrectionSurvivesConsensus()
+  await checkCorrectionKeepsOneReading()
+  await checkSearchCoversCandidates()
+} catch (error) {
+  failures++
+  console.error('❌ Error:', error.message)
+  console.error(error.stack)
+} finally {
+  await fs.rm(workDir, { recursive: true, force: true })
+}
+
+if (failures > 0) {
+  console.error(`\n❌ ${failures} comprobaciones fallaron`)
+  process.exit(1)
+}
+console.log('\n✅ Todas las comprobaciones pasaron')
+process.exit(0)
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises'
+import sharp from 'sharp'
+import { parseArgs } from 'util'
+import { warpPerspective, CANONICAL_PLATE_SIZE } from './server/utils/perspective.js'
+import { ENHANCEMENT_VARIATIONS } from './server/utils/pipeline/steps/enhancement.js'
+import { segmentCharacters } from './server/utils/character-segmentation.js'
+import { loadCharacterClassifier, classifyCharacters } from './server/utils/character-classifier.js'
+import { createProcessingLogger } from './server/utils/processing-logger.js'
+import { resolveDatasetImage } from './server/utils/dataset.js'
+import { GROUND_TRUTH_PATH, loadGroundTruth, normalizePlateText } from './server/utils/ground-truth.js'
+
+// Uso: npm run check:characters -- [--filter 1533] [--limit 20] [--min-accuracy 0.8]
+// Segmenta y clasifica los caracteres de las placas etiquetadas con esquinas, igual que
+// train-characters.js. El clasificador se entrena con esas mismas etiquetas: la precisión
+// sirve para detectar regresiones de la segmentación o del modelo, no mide generalización
+const { values: args } = parseArgs({
+  options: {
+    manifest: { type: 'string', default: GROUND_TRUTH_PATH },
+    filter: { type: 'string' },
+    limit: { type: 'string' },
+    'min-accuracy': { type: 'string' }
+  }
+})
+
+let failures = 0
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(`✓ ${name}`)
+  } else {
+    failures++
+    console.error(`✗ ${name}${detail ? `: ${detail}` : ''}`)
+  }
+}
+
+// Placa sintética: siete bloques oscuros sobre fondo claro, dos de ellos pegados
+async function checkSyntheticSegmentation() {
+  console.log('\n--- Segmentación de una placa sintética ---')
+  const { width, height } = CANONICAL_PLATE_SIZE
+  const lefts = [20, 70, 120, 190, 240, 290, 326]
+  const blocks = lefts.map(x => `<rect x="${x}" y="25" width="36" height="70" fill="#111"/>`).join('')
+  const buffer = await sharp(Buffer.from(
+    `<svg width="${width}" height="${height}"><rect width="100%" height="100%" fill="#eee"/>${blocks}</svg>`
+  )).jpeg().toBuffer()
+
+  const { characters, polarity } = await segmentCharacters(buffer)
+  check('Se segmentan 7 caracteres', characters.length === 7, `${characters.length} caracteres`)
+  check('El texto se detecta oscuro sobre fondo claro', polarity === 'dark', polarity)
+  check('Los caracteres quedan de izquierda a derecha',
+    characters.every((character, i) => i === 0 || character.bbox.x > characters[i - 1].bbox.x))
+}
+
+async function checkGroundTruth() {
+  console.log('\n--- Segmentación y clasificación contra el ground truth ---')
+  const manifest = await loadGroundTruth(args.manifest)
+  let labeled = Object.entries(manifest.images)
+    .filter(([image, label]) => label.plateText && label.corners && (!args.filter || image.includes(args.filter)))
+  if (args.limit) labeled = labeled.slice(0, Number(args.limit))
+
+  if (labeled.length === 0) {
+    console.log('⏭️ No hay placas etiquetadas con esquinas: etiquetarlas en la galería')
+    if (args['min-accuracy'] !== undefined) check('Precisión por carácter', false, 'no hay placas etiquetadas')
+    return
+  }
+
+  let model = null
+  try {
+    model = await loadCharacterClassifier(createProcessingLogger('check-characters', { quiet: true }))
+  } catch (error) {
+    console.log(`⏭️ Sin clasificación: ${error.message}`)
+  }
+
+  const totals = { images: 0, missing: 0, segmented: 0, plates: 0, characters: 0, correct: 0 }
+
+  for (const [image, label] of labeled) {
+    const imagePath = resolveDatasetImage(image)
+    const exists = await fs.access(imagePath).then(() => true, () => false)
+    if (!exists) {
+      totals.missing++
+      continue
+    }
+    totals.images++
+
+    const { buffer: rectified } = await warpPerspective(await fs.readFile(imagePath), label.corners)
+    const metadata = await sharp(rectified).metadata()
+    const { buffer: normalized } = await ENHANCEMENT_VARIATIONS.normalized.apply(rectified, metadata)
+    const { characters } = await segmentCharacters(normalized)
+    const expected = normalizePlateText(label.plateText)
+
+    if (characters.length !== expected.length) {
+      console.log(`✗ ${image}: ${characters.length} caracteres segmentados, se esperaban ${expected.length}`)
+      continue
+    }
+    totals.segmented++
+
+    if (!model) {
+      console.log(`✓ ${image}: ${characters.length} caracteres`)
+      continue
+    }
+
+    const predicted = classifyCharacters(model, characters.map(character => character.sample))
+      .map(result => result.char).join('')
+    const correct = [...expected].filter((char, i) => predicted[i] === char).length
+    totals.characters += expected.length
+    totals.correct += correct
+    if (predicted === expected) totals.plates++
+
+    console.log(`${predicted === expected ? '✓' : '✗'} ${image}: ${predicted} (esperado ${expected}, ${correct}/${expected.length})`)
+  }
+
+  console.log(`\n📊 ${totals.images} imágenes (${totals.missing} fuera de test-dataset)`)
+  console.log(`   Segmentación con el número correcto de caracteres: ${totals.segmented}/${totals.images}`)
+
+  const accuracy = totals.characters > 0 ? totals.correct / totals.characters : null
+  if (accuracy !== null) {
+    console.log(`   Caracteres clasificados correctamente: ${totals.correct}/${totals.characters} (${(accuracy * 100).toFixed(1)}%)`)
+    console.log(`   Placas completas correctas: ${totals.plates}/${totals.segmented}`)
+  }
+
+  // Con un mínimo pedido, no poder medir la precisión también es un fallo
+  if (args['min-accuracy'] !== undefined) {
+    const minAccuracy = Number(args['min-accuracy'])
+    check(`Precisión por carácter de al menos ${(minAccuracy * 100).toFixed(1)}%`, accuracy !== null && accuracy >= minAccuracy,
+      accuracy === null ? 'no se clasificó ninguna placa' : `${(accuracy * 100).toFixed(1)}%`)
+  }
+}
+
+try {
+  await checkSyntheticSegmentation()
+  await checkGroundTruth()
+} catch (error) {
+  failures++
+  console.error('❌ Error:', error.message)
+  console.error(error.stack)
+}
+
+if (failures > 0) {
+  console.error(`\n❌ ${failures} comprobaciones fallaron`)
+  process.exit(1)
+}
+console.log('\n✅ Todas las comprobaciones pasaron')
+process.exit(0)
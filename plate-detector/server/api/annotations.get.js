@@ -0,0 +1,19 @@
+import { loadGroundTruth } from '../utils/ground-truth.js'
+
+export default defineEventHandler(async () => {
+  try {
+    const manifest = await loadGroundTruth()
+
+    return {
+      success: true,
+      annotations: manifest.images,
+      total: Object.keys(manifest.images).length
+    }
+  } catch (error) {
+    console.error('Error reading annotations:', error)
+    throw createError({
+      statusCode: 500,
+      statusMessage: 'Error al leer las anotaciones'
+    })
+  }
+})
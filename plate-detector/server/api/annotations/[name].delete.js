@@ -0,0 +1,27 @@
+import { resolveDatasetImage } from '../../utils/dataset.js'
+import { deleteGroundTruthLabel } from '../../utils/ground-truth.js'
+
+export default defineEventHandler(async (event) => {
+  // Una secuencia `%` mal formada no es un nombre de imagen
+  let imageName
+  try {
+    imageName = decodeURIComponent(getRouterParam(event, 'name') || '')
+  } catch {
+    throw createError({ statusCode: 400, statusMessage: 'Nombre de imagen inválido' })
+  }
+
+  if (!resolveDatasetImage(imageName)) {
+    throw createError({ statusCode: 400, statusMessage: 'Nombre de imagen inválido' })
+  }
+
+  const deleted = await deleteGroundTruthLabel(imageName)
+
+  if (!deleted) {
+    throw createError({ statusCode: 404, statusMessage: 'La imagen no tiene etiqueta' })
+  }
+
+  return {
+    success: true,
+    image: imageName
+  }
+})
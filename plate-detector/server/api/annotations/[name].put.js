@@ -0,0 +1,33 @@
+import { resolveDatasetImage } from '../../utils/dataset.js'
+import { saveGroundTruthLabel } from '../../utils/ground-truth.js'
+
+export default defineEventHandler(async (event) => {
+  // Una secuencia `%` mal formada no es un nombre de imagen
+  let imageName
+  try {
+    imageName = decodeURIComponent(getRouterParam(event, 'name') || '')
+  } catch {
+    throw createError({ statusCode: 400, statusMessage: 'Nombre de imagen inválido' })
+  }
+
+  if (!resolveDatasetImage(imageName)) {
+    throw createError({ statusCode: 400, statusMessage: 'Nombre de imagen inválido' })
+  }
+
+  const body = await readBody(event)
+
+  let annotation
+  try {
+    annotation = await saveGroundTruthLabel(imageName, body || {})
+  } catch (error) {
+    throw createError({ statusCode: 400, statusMessage: error.message })
+  }
+
+  console.log(`🏷️ Etiqueta guardada: ${imageName} → ${annotation.plateText}`)
+
+  return {
+    success: true,
+    image: imageName,
+    annotation
+  }
+})
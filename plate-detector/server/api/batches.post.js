@@ -0,0 +1,37 @@
+import { resolvePipelineRequest, pipelineFieldsFromBody } from '../utils/pipeline/profiles.js'
+import { createBatch, serializeBatch } from '../utils/batch-queue.js'
+
+// Pipeline usado si la petición no indica `pipeline`
+const DEFAULT_BATCH_PIPELINE = 'enhanced'
+const MAX_BATCH_SIZE = 1000
+
+export default defineEventHandler(async (event) => {
+  const body = await readBody(event)
+  const images = body?.images
+
+  if (!Array.isArray(images) || images.length === 0) {
+    throw createError({ statusCode: 400, statusMessage: 'Se requiere una lista de imágenes (images)' })
+  }
+
+  if (images.length > MAX_BATCH_SIZE) {
+    throw createError({ statusCode: 400, statusMessage: `Un lote admite como máximo ${MAX_BATCH_SIZE} imágenes` })
+  }
+
+  let batch
+  try {
+    const pipeline = await resolvePipelineRequest(DEFAULT_BATCH_PIPELINE, pipelineFieldsFromBody(body))
+    batch = createBatch({ images, pipeline })
+  } catch (error) {
+    throw createError({ statusCode: 400, statusMessage: error.message })
+  }
+
+  console.log(`📦 Lote ${batch.id} creado con ${batch.items.length} imágenes`)
+
+  setResponseStatus(event, 202)
+  return {
+    success: true,
+    batchId: batch.id,
+    statusUrl: `/api/batches/${batch.id}`,
+    batch: serializeBatch(batch)
+  }
+})
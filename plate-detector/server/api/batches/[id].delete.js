@@ -0,0 +1,14 @@
+import { cancelBatch, serializeBatch } from '../../utils/batch-queue.js'
+
+export default defineEventHandler((event) => {
+  const batch = cancelBatch(getRouterParam(event, 'id'))
+
+  if (!batch) {
+    throw createError({ statusCode: 404, statusMessage: 'Lote no encontrado' })
+  }
+
+  return {
+    success: true,
+    batch: serializeBatch(batch)
+  }
+})
@@ -0,0 +1,14 @@
+import { getBatch, serializeBatch } from '../../utils/batch-queue.js'
+
+export default defineEventHandler((event) => {
+  const batch = getBatch(getRouterParam(event, 'id'))
+
+  if (!batch) {
+    throw createError({ statusCode: 404, statusMessage: 'Lote no encontrado' })
+  }
+
+  return {
+    success: true,
+    batch: serializeBatch(batch)
+  }
+})
@@ -0,0 +1,24 @@
+import { getBatch, serializeBatch, batchToCsv } from '../../../utils/batch-queue.js'
+
+export default defineEventHandler((event) => {
+  const batch = getBatch(getRouterParam(event, 'id'))
+
+  if (!batch) {
+    throw createError({ statusCode: 404, statusMessage: 'Lote no encontrado' })
+  }
+
+  const format = getQuery(event).format || 'csv'
+
+  if (format === 'csv') {
+    setHeader(event, 'Content-Type', 'text/csv; charset=utf-8')
+    setHeader(event, 'Content-Disposition', `attachment; filename="lote-${batch.id}.csv"`)
+    return batchToCsv(batch)
+  }
+
+  if (format === 'json') {
+    setHeader(event, 'Content-Disposition', `attachment; filename="lote-${batch.id}.json"`)
+    return serializeBatch(batch)
+  }
+
+  throw createError({ statusCode: 400, statusMessage: 'Formato no soportado (usar csv o json)' })
+})
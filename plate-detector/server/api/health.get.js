@@ -0,0 +1,8 @@
+// Liveness: el proceso responde, aunque los modelos sigan cargando (ver /api/ready)
+export default defineEventHandler(() => {
+  return {
+    status: 'ok',
+    uptime: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  }
+})
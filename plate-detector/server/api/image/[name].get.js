@@ -1,5 +1,6 @@
 import fs from 'fs/promises'
 import path from 'path'
+import { resolveDatasetImage } from '../../utils/dataset.js'
 
 export default defineEventHandler(async (event) => {
   try {
@@ -13,7 +14,10 @@ export default defineEventHandler(async (event) => {
     }
     
     const decodedName = decodeURIComponent(imageName)
-    const imagePath = path.join(process.cwd(), '..', 'test-dataset', decodedName)
+    const imagePath = resolveDatasetImage(decodedName)
+    if (!imagePath) {
+      throw new Error(`Nombre de imagen inválido: ${decodedName}`)
+    }
     
     const imageBuffer = await fs.readFile(imagePath)
     
@@ -1,18 +1,24 @@
-import fs from 'fs/promises'
-import path from 'path'
+import { listDatasetImages } from '../utils/dataset.js'
+import { loadGroundTruth } from '../utils/ground-truth.js'
 
 export default defineEventHandler(async (event) => {
   try {
-    const testDatasetPath = path.join(process.cwd(), '..', 'test-dataset')
-    
-    const files = await fs.readdir(testDatasetPath)
+    const files = await listDatasetImages()
+
+    // Un manifiesto inválido no debe ocultar la galería: se sirve sin etiquetas
+    let labels = {}
+    try {
+      labels = (await loadGroundTruth()).images
+    } catch (error) {
+      console.error('Error loading ground truth:', error.message)
+    }
     
     const imageFiles = files
-      .filter(file => file.endsWith('.jpg') || file.endsWith('.jpeg') || file.endsWith('.png'))
-      .sort()
       .map(filename => ({
         name: filename,
-        url: `/api/image/${encodeURIComponent(filename)}`
+        url: `/api/image/${encodeURIComponent(filename)}`,
+        labeled: Boolean(labels[filename]?.plateText),
+        annotation: labels[filename] || null
       }))
     
     return {
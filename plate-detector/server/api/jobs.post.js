@@ -0,0 +1,60 @@
+import fs from 'fs/promises'
+import { parseAnalysisForm, resolveSessionId } from '../utils/analyze-handler.js'
+import { resolvePipelineRequest } from '../utils/pipeline/profiles.js'
+import { enqueueJob, serializeJob } from '../utils/job-queue.js'
+
+// Pipeline usado si la petición no indica `pipeline`
+const DEFAULT_JOB_PIPELINE = 'enhanced'
+
+export default defineEventHandler(async (event) => {
+  let imagePath = null
+
+  try {
+    const [fields, files] = await parseAnalysisForm(event)
+    const imageFile = Array.isArray(files.image) ? files.image[0] : files.image
+    imagePath = imageFile ? (imageFile.filepath || imageFile.path) : null
+
+    const jobId = resolveSessionId(fields)
+
+    let pipeline
+    try {
+      pipeline = await resolvePipelineRequest(DEFAULT_JOB_PIPELINE, fields)
+    } catch (error) {
+      throw createError({ statusCode: 400, statusMessage: error.message })
+    }
+
+    if (!imagePath) {
+      throw createError({ statusCode: 400, statusMessage: 'No se recibió ninguna imagen' })
+    }
+
+    let job
+    try {
+      job = enqueueJob({ id: jobId, imagePath, pipeline, originalName: imageFile.originalFilename || null })
+    } catch (error) {
+      throw createError({ statusCode: 409, statusMessage: error.message })
+    }
+
+    // La cola es dueña del archivo temporal a partir de aquí
+    imagePath = null
+
+    setResponseStatus(event, 202)
+    return {
+      success: true,
+      jobId: job.id,
+      sessionId: job.id,
+      statusUrl: `/api/jobs/${job.id}`,
+      job: serializeJob(job)
+    }
+  } catch (error) {
+    if (imagePath) {
+      await fs.unlink(imagePath).catch(() => {})
+    }
+
+    if (error.statusCode) throw error
+
+    throw createError({
+      statusCode: 500,
+      statusMessage: `Error al crear el trabajo: ${error.message}`
+    })
+  }
+})
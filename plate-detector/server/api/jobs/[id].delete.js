@@ -0,0 +1,14 @@
+import { cancelJob, serializeJob } from '../../utils/job-queue.js'
+
+export default defineEventHandler((event) => {
+  const job = cancelJob(getRouterParam(event, 'id'))
+
+  if (!job) {
+    throw createError({ statusCode: 404, statusMessage: 'Trabajo no encontrado' })
+  }
+
+  return {
+    success: true,
+    job: serializeJob(job)
+  }
+})
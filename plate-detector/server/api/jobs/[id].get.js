@@ -0,0 +1,17 @@
+import { getJob, serializeJob } from '../../utils/job-queue.js'
+
+export default defineEventHandler((event) => {
+  const job = getJob(getRouterParam(event, 'id'))
+
+  if (!job) {
+    throw createError({ statusCode: 404, statusMessage: 'Trabajo no encontrado' })
+  }
+
+  // ?since=n devuelve sólo los eventos a partir del índice n
+  const since = Number(getQuery(event).since) || 0
+
+  return {
+    success: true,
+    job: serializeJob(job, { since })
+  }
+})
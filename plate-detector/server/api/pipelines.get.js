@@ -0,0 +1,21 @@
+import { loadPipelineProfiles } from '../utils/pipeline/profiles.js'
+import { listPipelines, getPipeline } from '../utils/pipeline/engine.js'
+
+export default defineEventHandler(async () => {
+  const profiles = await loadPipelineProfiles()
+
+  return {
+    success: true,
+    profiles: Object.entries(profiles).map(([name, profile]) => ({
+      name,
+      description: profile.description || null,
+      pipeline: profile.pipeline,
+      params: profile.params || {}
+    })),
+    pipelines: listPipelines().map(name => ({
+      name,
+      description: getPipeline(name).description || null,
+      steps: getPipeline(name).steps.map(step => step.step)
+    }))
+  }
+})
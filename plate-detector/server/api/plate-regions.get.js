@@ -0,0 +1,9 @@
+import { listPlateRegions, REGION_GROUPS } from '../utils/plate-formats/index.js'
+
+export default defineEventHandler(() => {
+  return {
+    success: true,
+    regions: listPlateRegions(),
+    groups: REGION_GROUPS
+  }
+})
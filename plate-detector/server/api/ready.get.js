@@ -0,0 +1,15 @@
+import { getWarmupState } from '../utils/warmup.js'
+
+// Readiness: 503 hasta que COCO-SSD y los workers de Tesseract estén cargados
+export default defineEventHandler((event) => {
+  const state = getWarmupState()
+
+  if (!state.ready) {
+    setResponseStatus(event, 503)
+  }
+
+  return {
+    success: state.ready,
+    ...state
+  }
+})
@@ -0,0 +1,15 @@
+import { listSessions, parseSessionQuery } from '../utils/session-store.js'
+
+export default defineEventHandler(async (event) => {
+  let query
+  try {
+    query = parseSessionQuery(getQuery(event))
+  } catch (error) {
+    throw createError({ statusCode: 400, statusMessage: error.message })
+  }
+
+  return {
+    success: true,
+    ...await listSessions(query)
+  }
+})
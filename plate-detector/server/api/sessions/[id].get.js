@@ -0,0 +1,14 @@
+import { getRecordedSession } from '../../utils/session-store.js'
+
+export default defineEventHandler(async (event) => {
+  const session = await getRecordedSession(getRouterParam(event, 'id'))
+
+  if (!session) {
+    throw createError({ statusCode: 404, statusMessage: 'Sesión no encontrada' })
+  }
+
+  return {
+    success: true,
+    session
+  }
+})
@@ -0,0 +1,16 @@
+import { searchSessions, parseSearchQuery } from '../../utils/session-store.js'
+
+export default defineEventHandler(async (event) => {
+  let query
+  try {
+    query = parseSearchQuery(getQuery(event))
+  } catch (error) {
+    throw createError({ statusCode: 400, statusMessage: error.message })
+  }
+
+  return {
+    success: true,
+    query: query.search.query,
+    ...await searchSessions(query)
+  }
+})
@@ -0,0 +1,22 @@
+import { getOcrPoolStats, OCR_POOL_SIZE } from '../utils/tesseract-pool.js'
+import { getQueueStats } from '../utils/job-queue.js'
+import { getWebhookQueueStats } from '../utils/webhooks.js'
+
+export default defineEventHandler(() => {
+  const memory = process.memoryUsage()
+
+  return {
+    success: true,
+    uptime: Math.round(process.uptime()),
+    memory: {
+      rss: memory.rss,
+      heapUsed: memory.heapUsed
+    },
+    jobs: getQueueStats(),
+    ocrPool: {
+      size: OCR_POOL_SIZE,
+      pools: getOcrPoolStats()
+    },
+    webhooks: getWebhookQueueStats()
+  }
+})
@@ -0,0 +1,9 @@
+import { listWatchlists, WATCHLIST_LABELS } from '../utils/watchlist.js'
+
+export default defineEventHandler(async () => {
+  return {
+    success: true,
+    labels: WATCHLIST_LABELS,
+    watchlists: await listWatchlists()
+  }
+})
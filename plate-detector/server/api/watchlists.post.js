@@ -0,0 +1,20 @@
+import { createWatchlist } from '../utils/watchlist.js'
+
+export default defineEventHandler(async (event) => {
+  const body = await readBody(event)
+
+  let watchlist
+  try {
+    watchlist = await createWatchlist(body || {})
+  } catch (error) {
+    throw createError({ statusCode: 400, statusMessage: error.message })
+  }
+
+  console.log(`🚨 Lista de vigilancia creada: ${watchlist.name} (${watchlist.plates.length} placas)`)
+
+  setResponseStatus(event, 201)
+  return {
+    success: true,
+    watchlist
+  }
+})
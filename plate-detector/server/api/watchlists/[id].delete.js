@@ -0,0 +1,15 @@
+import { deleteWatchlist } from '../../utils/watchlist.js'
+
+export default defineEventHandler(async (event) => {
+  const id = getRouterParam(event, 'id')
+  const deleted = await deleteWatchlist(id)
+
+  if (!deleted) {
+    throw createError({ statusCode: 404, statusMessage: 'Lista de vigilancia no encontrada' })
+  }
+
+  return {
+    success: true,
+    id
+  }
+})
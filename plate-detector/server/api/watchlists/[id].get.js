@@ -0,0 +1,14 @@
+import { getWatchlist } from '../../utils/watchlist.js'
+
+export default defineEventHandler(async (event) => {
+  const watchlist = await getWatchlist(getRouterParam(event, 'id'))
+
+  if (!watchlist) {
+    throw createError({ statusCode: 404, statusMessage: 'Lista de vigilancia no encontrada' })
+  }
+
+  return {
+    success: true,
+    watchlist
+  }
+})
@@ -0,0 +1,21 @@
+import { updateWatchlist } from '../../utils/watchlist.js'
+
+export default defineEventHandler(async (event) => {
+  const body = await readBody(event)
+
+  let watchlist
+  try {
+    watchlist = await updateWatchlist(getRouterParam(event, 'id'), body || {})
+  } catch (error) {
+    throw createError({ statusCode: 400, statusMessage: error.message })
+  }
+
+  if (!watchlist) {
+    throw createError({ statusCode: 404, statusMessage: 'Lista de vigilancia no encontrada' })
+  }
+
+  return {
+    success: true,
+    watchlist
+  }
+})
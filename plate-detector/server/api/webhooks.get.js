@@ -0,0 +1,9 @@
+import { listWebhooks, serializeWebhook, WEBHOOK_EVENTS } from '../utils/webhooks.js'
+
+export default defineEventHandler(async () => {
+  return {
+    success: true,
+    events: WEBHOOK_EVENTS,
+    webhooks: (await listWebhooks()).map(serializeWebhook)
+  }
+})
@@ -0,0 +1,21 @@
+import { createWebhook } from '../utils/webhooks.js'
+
+export default defineEventHandler(async (event) => {
+  const body = await readBody(event)
+
+  let webhook
+  try {
+    webhook = await createWebhook(body || {})
+  } catch (error) {
+    throw createError({ statusCode: 400, statusMessage: error.message })
+  }
+
+  console.log(`🔗 Webhook registrado: ${webhook.url} (${webhook.events.join(', ')})`)
+
+  // El secreto completo sólo se devuelve al crear el webhook
+  setResponseStatus(event, 201)
+  return {
+    success: true,
+    webhook
+  }
+})
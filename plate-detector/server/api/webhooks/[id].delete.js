@@ -0,0 +1,15 @@
+import { deleteWebhook } from '../../utils/webhooks.js'
+
+export default defineEventHandler(async (event) => {
+  const id = getRouterParam(event, 'id')
+  const deleted = await deleteWebhook(id)
+
+  if (!deleted) {
+    throw createError({ statusCode: 404, statusMessage: 'Webhook no encontrado' })
+  }
+
+  return {
+    success: true,
+    id
+  }
+})
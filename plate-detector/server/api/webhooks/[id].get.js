@@ -0,0 +1,14 @@
+import { getWebhook, serializeWebhook } from '../../utils/webhooks.js'
+
+export default defineEventHandler(async (event) => {
+  const webhook = await getWebhook(getRouterParam(event, 'id'))
+
+  if (!webhook) {
+    throw createError({ statusCode: 404, statusMessage: 'Webhook no encontrado' })
+  }
+
+  return {
+    success: true,
+    webhook: serializeWebhook(webhook)
+  }
+})
@@ -0,0 +1,21 @@
+import { updateWebhook, serializeWebhook } from '../../utils/webhooks.js'
+
+export default defineEventHandler(async (event) => {
+  const body = await readBody(event)
+
+  let webhook
+  try {
+    webhook = await updateWebhook(getRouterParam(event, 'id'), body || {})
+  } catch (error) {
+    throw createError({ statusCode: 400, statusMessage: error.message })
+  }
+
+  if (!webhook) {
+    throw createError({ statusCode: 404, statusMessage: 'Webhook no encontrado' })
+  }
+
+  return {
+    success: true,
+    webhook: serializeWebhook(webhook)
+  }
+})
@@ -0,0 +1,14 @@
+import { getWebhook, getWebhookDeliveries } from '../../../utils/webhooks.js'
+
+export default defineEventHandler(async (event) => {
+  const id = getRouterParam(event, 'id')
+
+  if (!await getWebhook(id)) {
+    throw createError({ statusCode: 404, statusMessage: 'Webhook no encontrado' })
+  }
+
+  return {
+    success: true,
+    deliveries: await getWebhookDeliveries(id)
+  }
+})
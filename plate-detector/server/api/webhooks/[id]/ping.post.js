@@ -0,0 +1,15 @@
+import { getWebhook, pingWebhook } from '../../../utils/webhooks.js'
+
+export default defineEventHandler(async (event) => {
+  const webhook = await getWebhook(getRouterParam(event, 'id'))
+
+  if (!webhook) {
+    throw createError({ statusCode: 404, statusMessage: 'Webhook no encontrado' })
+  }
+
+  // Espera el primer intento; si falla, los reintentos siguen en segundo plano
+  return {
+    success: true,
+    delivery: await pingWebhook(webhook)
+  }
+})
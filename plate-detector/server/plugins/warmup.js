@@ -0,0 +1,14 @@
+import { warmUp } from '../utils/warmup.js'
+import { terminateTesseractPools } from '../utils/tesseract-pool.js'
+
+// Precarga COCO-SSD y los workers de Tesseract al iniciar Nitro.
+// No se espera la carga: el servidor escucha mientras tanto y /api/ready indica cuándo termina
+export default defineNitroPlugin((nitroApp) => {
+  warmUp().catch((error) => {
+    console.error('Model warm-up failed:', error)
+  })
+
+  nitroApp.hooks.hook('close', async () => {
+    await terminateTesseractPools()
+  })
+})
@@ -0,0 +1,169 @@
+import { runPipeline, getPipeline } from './pipeline/engine.js'
+import { NO_PLATE_RESULT } from './pipeline/steps/scoring.js'
+import { buildSessionRecord, recordSession, hashImage } from './session-store.js'
+import { matchWatchlists } from './watchlist.js'
+import { broadcast } from './websocket.js'
+import { queueWebhookEvent } from './webhooks.js'
+
+/**
+ * Construye la respuesta de análisis a partir del contexto final de un pipeline
+ * @param {Object} context - Contexto devuelto por runPipeline
+ * @param {Object} pipeline - Configuración del pipeline ejecutado
+ * @param {ProcessingLogger} logger - Logger de la sesión
+ * @returns {Object} - Respuesta del endpoint
+ */
+export function buildAnalysisResponse(context, pipeline, logger) {
+  const vehicle = context.vehicle || { hasVehicle: false, vehicleType: null, confidence: 0, allDetections: [] }
+  const plate = context.result || NO_PLATE_RESULT
+  const hasPlate = plate.hasPlate || Boolean(context.plateRegion)
+
+  const response = {
+    success: true,
+    sessionId: logger.sessionId,
+    pipeline: pipeline.name,
+    profile: pipeline.profile || null,
+    pipelineParams: pipeline.params || {},
+    processingTimeMs: Date.now() - logger.startTime,
+
+    hasVehicle: vehicle.hasVehicle,
+    vehicleType: vehicle.vehicleType,
+    vehicleConfidence: vehicle.confidence,
+    // Color y carrocería del vehículo principal (etapa `vehicle-attributes`)
+    vehicleAttributes: context.vehicles[0]?.attributes || null,
+    // Todos los vehículos sobre el umbral con la placa leída en cada uno
+    vehicles: context.result?.vehicles || context.vehicles.map(v => ({ ...v, plates: [] })),
+    // Vehículos sobre el umbral que no se procesaron por el límite `maxVehicles`
+    vehiclesOmitted: vehicle.omitted || 0,
+
+    hasPlate,
+    plateText: plate.plateText,
+    plateConfidence: plate.confidence,
+    processingMethod: plate.processingMethod,
+    // Validación estructurada: formato, estado emisor probable y motivos
+    plateInfo: plate.plateInfo || null,
+    // Lectura original y caracteres sustituidos por la etapa de corrección
+    plateCorrection: plate.substitutions?.length > 0
+      ? { originalText: plate.rawText.trim(), substitutions: plate.substitutions }
+      : null,
+    // Votación por carácter entre variaciones y regiones (estrategia `consensus`)
+    plateConsensus: plate.consensus
+      ? {
+          plateText: plate.consensus.plateText,
+          agreement: plate.consensus.agreement,
+          agreementScore: plate.consensus.agreementScore,
+          readings: plate.consensus.readings,
+          regions: plate.consensus.regions,
+          positions: plate.consensus.positions
+        }
+      : null,
+
+    overallConfidence: plate.hasPlate ?
+      (plate.confidence * 0.7 + vehicle.confidence * 0.3) :
+      vehicle.confidence,
+
+    // Región rectificada (pipelines basados en contornos)
+    plateRegion: context.plateRegion?.region || null,
+    plateDimensions: context.plateRegion?.dimensions || null,
+    plateCandidatesFound: context.plateCandidatesFound,
+
+    debug: {
+      vehicleDetections: vehicle.allDetections?.length || 0,
+      plateCandidates: plate.allCandidates.length,
+      alternativePlates: plate.allCandidates,
+      stepTimings: context.timings
+    }
+  }
+
+  if (!hasPlate) {
+    response.message = 'No se pudieron detectar placas en la imagen'
+  }
+
+  if (pipeline.response?.includeSessionData !== false) {
+    response.logs = logger.getLogs()
+    response.processedImages = logger.getProcessedImages()
+    response.stats = logger.getStats()
+  }
+
+  return response
+}
+
+/**
+ * Ejecuta un pipeline sobre una imagen y devuelve la respuesta de análisis
+ * Sólo los análisis con `interactive` (subidas y trabajos de la API) se comparan con las
+ * listas de vigilancia, se guardan en el historial y se notifican a los webhooks;
+ * el benchmark y otras herramientas sin servidor no lo activan
+ * @param {Object} params - { imagePath, pipeline (nombre o configuración resuelta), logger, signal, originalName, interactive }
+ * @returns {Promise<Object>} - Respuesta del análisis
+ */
+export async function runAnalysis({ imagePath, pipeline: requested, logger, signal = null, originalName = null, interactive = false }) {
+  const pipeline = typeof requested === 'string' ? getPipeline(requested) : requested
+  if (pipeline.profile) {
+    logger.info(`🎛️ Perfil de pipeline: ${pipeline.profile}`)
+  }
+  let context
+  try {
+    context = await runPipeline(pipeline, { imagePath, logger, signal })
+  } catch (error) {
+    // Un trabajo cancelado no es un error del análisis
+    if (interactive && !signal?.aborted) {
+      queueWebhookEvent('analysis_error', { success: false, sessionId: logger.sessionId, error: error.message })
+    }
+    throw error
+  }
+
+  logger.timing('Procesamiento')
+  const response = buildAnalysisResponse(context, pipeline, logger)
+
+  logger.success(`🎉 Análisis finalizado: ${response.plateText ? `Placa detectada: ${response.plateText}` : 'No se detectó placa'}`)
+
+  // Las imágenes del benchmark no se comparan con las listas ni disparan alertas
+  response.watchlistHits = []
+  if (interactive) {
+    try {
+      response.watchlistHits = await matchWatchlists(response)
+    } catch (error) {
+      console.error(`Error matching watchlists for session ${logger.sessionId}:`, error.message)
+    }
+  }
+
+  if (response.watchlistHits.length > 0) {
+    for (const hit of response.watchlistHits) {
+      logger.warning(`🚨 ${hit.readText} en la lista "${hit.watchlistName}" (${hit.labelName})${hit.exact ? '' : ` como ${hit.plateText}`}`)
+    }
+
+    // Alerta para todos los clientes, no sólo para los suscritos a la sesión
+    broadcast({
+      type: 'alert',
+      sessionId: logger.sessionId,
+      plateText: response.plateText,
+      vehicleType: response.vehicleType,
+      hits: response.watchlistHits,
+      timestamp: Date.now()
+    })
+  }
+
+  logger.finish()
+
+  // Un fallo al escribir el historial no invalida el análisis
+  if (interactive) {
+    try {
+      await recordSession(buildSessionRecord({
+        response,
+        logger,
+        imageHash: hashImage(context.imageBuffer),
+        originalName
+      }))
+    } catch (error) {
+      console.error(`Error recording session ${logger.sessionId}:`, error.message)
+    }
+  }
+
+  // Los webhooks reciben la misma respuesta; la entrega no retrasa al cliente
+  if (interactive) {
+    queueWebhookEvent('analysis_complete', response)
+    if (!response.hasPlate) queueWebhookEvent('no_plate', response)
+    if (response.watchlistHits.length > 0) queueWebhookEvent('watchlist_hit', response)
+  }
+
+  return response
+}
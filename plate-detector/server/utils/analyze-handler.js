@@ -0,0 +1,118 @@
+import formidable from 'formidable'
+import fs from 'fs/promises'
+import path from 'path'
+import { v4 as uuidv4, validate as isUuid } from 'uuid'
+import { createProcessingLogger } from './processing-logger.js'
+import { broadcastToSession } from './websocket.js'
+import { runAnalysis } from './analysis.js'
+import { resolvePipelineRequest } from './pipeline/profiles.js'
+
+/**
+ * Parsea un formulario multipart con la imagen a analizar
+ * @param {H3Event} event - Evento de la petición
+ * @returns {Promise<Array>} - [fields, files]
+ */
+export function parseAnalysisForm(event) {
+  const form = formidable({
+    uploadDir: '/tmp',
+    keepExtensions: true,
+    maxFileSize: 15 * 1024 * 1024
+  })
+
+  return new Promise((resolve, reject) => {
+    form.parse(event.node.req, (err, fields, files) => {
+      if (err) reject(err)
+      else resolve([fields, files])
+    })
+  })
+}
+
+/**
+ * Obtiene el sessionId enviado por el cliente o genera uno nuevo
+ * @param {Object} fields - Campos parseados por formidable
+ * @returns {string} - sessionId (UUID)
+ */
+export function resolveSessionId(fields = {}) {
+  const value = Array.isArray(fields.sessionId) ? fields.sessionId[0] : fields.sessionId
+  if (value === undefined || value === '') return uuidv4()
+
+  if (!isUuid(value)) {
+    throw createError({ statusCode: 400, statusMessage: 'sessionId debe ser un UUID válido' })
+  }
+  return value
+}
+
+/**
+ * Crea el handler de un endpoint de análisis para un pipeline con nombre
+ * @param {string} pipelineName - Nombre del pipeline registrado
+ * @returns {Function} - Event handler de Nitro
+ */
+export function createAnalyzeHandler(pipelineName) {
+  return defineEventHandler(async (event) => {
+    let sessionId = null
+    let logger = null
+    let imagePath = null
+
+    try {
+      const [fields, files] = await parseAnalysisForm(event)
+      const imageFile = Array.isArray(files.image) ? files.image[0] : files.image
+      imagePath = imageFile ? (imageFile.filepath || imageFile.path) : null
+
+      // El cliente puede enviar su propio sessionId para suscribirse antes del análisis
+      sessionId = resolveSessionId(fields)
+      logger = createProcessingLogger(sessionId)
+      logger.info('🚀 Iniciando análisis inteligente de imagen...')
+
+      // Perfil (campo `pipeline`) y parámetros por petición
+      let pipeline
+      try {
+        pipeline = await resolvePipelineRequest(pipelineName, fields)
+      } catch (error) {
+        throw createError({ statusCode: 400, statusMessage: error.message })
+      }
+
+      if (!imagePath) {
+        throw createError({ statusCode: 400, statusMessage: 'No se recibió ninguna imagen' })
+      }
+
+      logger.info(`📁 Imagen recibida: ${path.basename(imagePath)}`)
+
+      const response = await runAnalysis({
+        imagePath,
+        pipeline,
+        logger,
+        originalName: imageFile.originalFilename || null,
+        interactive: true
+      })
+
+      broadcastToSession(sessionId, {
+        type: 'analysis_complete',
+        ...response
+      })
+
+      return response
+
+    } catch (error) {
+      if (logger) {
+        logger.error(`💥 Error crítico: ${error.message}`)
+
+        broadcastToSession(sessionId, {
+          type: 'analysis_error',
+          error: error.message,
+          sessionId
+        })
+      }
+
+      if (error.statusCode) throw error
+
+      throw createError({
+        statusCode: 500,
+        statusMessage: `Error al procesar la imagen: ${error.message}`
+      })
+    } finally {
+      if (imagePath) {
+        await fs.unlink(imagePath).catch(() => {})
+      }
+    }
+  })
+}
@@ -0,0 +1,174 @@
+import { v4 as uuidv4 } from 'uuid'
+import { enqueueJob, getJob, cancelJob, JOB_STATUS } from './job-queue.js'
+import { resolveDatasetImage } from './dataset.js'
+
+/**
+ * Batch queue - Análisis por lotes de imágenes del dataset de prueba
+ *
+ * Cada imagen del lote es un trabajo de la cola de trabajos, que limita la
+ * concurrencia. El lote sólo agrupa los ids y resume sus resultados.
+ */
+
+// Tiempo que se conservan los lotes terminados
+const BATCH_TTL_MS = Number(process.env.JOB_TTL_MS) || 60 * 60 * 1000
+
+const batches = new Map()
+
+/**
+ * Crea un lote y encola un trabajo por imagen
+ * @param {Object} params - { images: Array<string>, pipeline (configuración resuelta) }
+ * @returns {Object} - Lote creado
+ */
+export function createBatch({ images, pipeline }) {
+  const invalid = images.filter(name => !resolveDatasetImage(name))
+  if (invalid.length > 0) {
+    throw new Error(`Nombres de imagen inválidos: ${invalid.slice(0, 5).join(', ')}`)
+  }
+
+  pruneFinishedBatches()
+
+  // En lote no se guardan imágenes intermedias ni logs completos por imagen
+  const batchPipeline = {
+    ...pipeline,
+    saveImages: false,
+    response: { ...pipeline.response, includeSessionData: false }
+  }
+
+  const batch = {
+    id: uuidv4(),
+    pipeline: pipeline.name,
+    profile: pipeline.profile || null,
+    createdAt: new Date().toISOString(),
+    items: [...new Set(images)].map(name => ({ name, jobId: uuidv4() }))
+  }
+
+  for (const item of batch.items) {
+    enqueueJob({
+      id: item.jobId,
+      imagePath: resolveDatasetImage(item.name),
+      pipeline: batchPipeline,
+      originalName: item.name,
+      removeImage: false
+    })
+  }
+
+  batches.set(batch.id, batch)
+  return batch
+}
+
+/**
+ * Obtiene un lote por id
+ * @param {string} id - Id del lote
+ * @returns {Object|null} - Lote o null
+ */
+export function getBatch(id) {
+  return batches.get(id) || null
+}
+
+/**
+ * Cancela los trabajos pendientes de un lote
+ * @param {string} id - Id del lote
+ * @returns {Object|null} - Lote o null si no existe
+ */
+export function cancelBatch(id) {
+  const batch = batches.get(id)
+  if (!batch) return null
+
+  for (const item of batch.items) {
+    cancelJob(item.jobId)
+  }
+  return batch
+}
+
+/**
+ * Fila de resumen de una imagen del lote
+ * @param {Object} item - { name, jobId }
+ * @returns {Object} - { image, status, hasVehicle, plateText, plateConfidence, durationMs, error }
+ */
+function summarizeItem(item) {
+  const job = getJob(item.jobId)
+  const result = job?.result
+
+  return {
+    image: item.name,
+    jobId: item.jobId,
+    status: job?.status || 'expired',
+    hasVehicle: result ? result.hasVehicle : null,
+    hasPlate: result ? result.hasPlate : null,
+    plateText: result?.plateText || null,
+    plateConfidence: result?.plateConfidence ?? null,
+    durationMs: result?.processingTimeMs ?? null,
+    error: job?.error || null
+  }
+}
+
+/**
+ * Estado y resumen de un lote
+ * @param {Object} batch - Lote
+ * @returns {Object} - Lote serializable con filas y totales
+ */
+export function serializeBatch(batch) {
+  const rows = batch.items.map(summarizeItem)
+  const count = (status) => rows.filter(row => row.status === status).length
+
+  const completed = rows.filter(row => row.status === JOB_STATUS.COMPLETED)
+  const withPlate = completed.filter(row => row.plateText)
+  const durations = completed.map(row => row.durationMs).filter(ms => ms !== null)
+
+  const pending = count(JOB_STATUS.QUEUED) + count(JOB_STATUS.RUNNING)
+
+  return {
+    id: batch.id,
+    pipeline: batch.pipeline,
+    profile: batch.profile,
+    createdAt: batch.createdAt,
+    status: pending > 0 ? 'running' : 'finished',
+    summary: {
+      total: rows.length,
+      queued: count(JOB_STATUS.QUEUED),
+      running: count(JOB_STATUS.RUNNING),
+      completed: completed.length,
+      failed: count(JOB_STATUS.FAILED),
+      cancelled: count(JOB_STATUS.CANCELLED),
+      platesFound: withPlate.length,
+      averageConfidence: withPlate.length > 0
+        ? withPlate.reduce((sum, row) => sum + row.plateConfidence, 0) / withPlate.length
+        : null,
+      averageDurationMs: durations.length > 0
+        ? Math.round(durations.reduce((sum, ms) => sum + ms, 0) / durations.length)
+        : null
+    },
+    rows
+  }
+}
+
+const CSV_COLUMNS = ['image', 'status', 'hasVehicle', 'hasPlate', 'plateText', 'plateConfidence', 'durationMs', 'error']
+
+function csvValue(value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Exporta las filas de un lote como CSV
+ * @param {Object} batch - Lote
+ * @returns {string} - CSV con encabezado
+ */
+export function batchToCsv(batch) {
+  const { rows } = serializeBatch(batch)
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => csvValue(row[column])).join(','))
+  ].join('\n') + '\n'
+}
+
+function pruneFinishedBatches() {
+  const now = Date.now()
+  for (const [id, batch] of batches) {
+    const expired = now - new Date(batch.createdAt).getTime() > BATCH_TTL_MS
+    if (expired && serializeBatch(batch).status === 'finished') {
+      batches.delete(id)
+    }
+  }
+}
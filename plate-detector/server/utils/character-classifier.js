@@ -0,0 +1,94 @@
+import * as tf from '@tensorflow/tfjs-node'
+import fs from 'fs/promises'
+import path from 'path'
+import { SEGMENTATION_DEFAULTS } from './character-segmentation.js'
+
+/**
+ * Character classifier - Clasificador de caracteres de placa (A–Z, 0–9) con TensorFlow.js
+ *
+ * Red convolucional pequeña sobre muestras de 28x28 producidas por la segmentación.
+ * Se entrena fuera de línea con `npm run train:characters` y se carga una sola vez
+ * desde disco, igual que COCO-SSD.
+ */
+
+export const CHARACTER_CLASSES = [...'0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ']
+
+export const CHARACTER_MODEL_DIR = process.env.CHARACTER_MODEL_DIR ||
+  path.join(process.cwd(), 'models', 'plate-characters')
+
+let characterModel = null
+
+/**
+ * Arquitectura del clasificador (la usa también el script de entrenamiento)
+ * @param {number} size - Lado de la muestra de entrada
+ * @returns {tf.Sequential} - Modelo sin entrenar
+ */
+export function buildCharacterModel(size = SEGMENTATION_DEFAULTS.sampleSize) {
+  const model = tf.sequential()
+  model.add(tf.layers.conv2d({ inputShape: [size, size, 1], filters: 16, kernelSize: 3, activation: 'relu' }))
+  model.add(tf.layers.maxPooling2d({ poolSize: 2 }))
+  model.add(tf.layers.conv2d({ filters: 32, kernelSize: 3, activation: 'relu' }))
+  model.add(tf.layers.maxPooling2d({ poolSize: 2 }))
+  model.add(tf.layers.flatten())
+  model.add(tf.layers.dropout({ rate: 0.25 }))
+  model.add(tf.layers.dense({ units: 128, activation: 'relu' }))
+  model.add(tf.layers.dense({ units: CHARACTER_CLASSES.length, activation: 'softmax' }))
+
+  model.compile({ optimizer: 'adam', loss: 'categoricalCrossentropy', metrics: ['accuracy'] })
+  return model
+}
+
+/**
+ * Carga (una sola vez) el clasificador entrenado
+ * @param {ProcessingLogger} logger - Logger de la sesión
+ * @returns {Promise<tf.LayersModel>} - Modelo cargado
+ */
+export async function loadCharacterClassifier(logger) {
+  if (!characterModel) {
+    const modelPath = path.join(CHARACTER_MODEL_DIR, 'model.json')
+    const exists = await fs.access(modelPath).then(() => true, () => false)
+    if (!exists) {
+      throw new Error(`No hay clasificador de caracteres entrenado en ${modelPath} (ejecutar npm run train:characters)`)
+    }
+
+    logger.info('🔧 Inicializando clasificador de caracteres...')
+    await tf.ready()
+    characterModel = await tf.loadLayersModel(`file://${modelPath}`)
+    logger.success('✅ Clasificador de caracteres cargado exitosamente')
+  }
+  return characterModel
+}
+
+/**
+ * Clasifica muestras de caracteres
+ * @param {tf.LayersModel} model - Clasificador
+ * @param {Array<Float32Array>} samples - Muestras de size x size
+ * @returns {Array<Object>} - [{ char, confidence, alternatives: [{ char, confidence }] }]
+ */
+export function classifyCharacters(model, samples) {
+  if (samples.length === 0) return []
+
+  const size = Math.round(Math.sqrt(samples[0].length))
+  const probabilities = tf.tidy(() => {
+    const input = tf.tensor4d(concatSamples(samples), [samples.length, size, size, 1])
+    return model.predict(input).arraySync()
+  })
+
+  return probabilities.map(scores => {
+    const ranked = scores
+      .map((confidence, index) => ({ char: CHARACTER_CLASSES[index], confidence }))
+      .sort((a, b) => b.confidence - a.confidence)
+    return { char: ranked[0].char, confidence: ranked[0].confidence, alternatives: ranked.slice(1, 3) }
+  })
+}
+
+/**
+ * Une varias muestras en un solo arreglo para construir un tensor
+ * @param {Array<Float32Array>} samples - Muestras del mismo tamaño
+ * @returns {Float32Array}
+ */
+export function concatSamples(samples) {
+  const data = new Float32Array(samples.length * samples[0].length)
+  samples.forEach((sample, i) => data.set(sample, i * sample.length))
+  return data
+}
@@ -0,0 +1,259 @@
+import sharp from 'sharp'
+import { otsuThreshold, binarize, findConnectedComponents } from './contour-detection.js'
+
+/**
+ * Character segmentation - Separación de los caracteres de una placa rectificada
+ *
+ * Trabaja sobre la placa normalizada (400x120):
+ * - Binarización con umbral de Otsu; la polaridad se elige para que el texto sea el primer plano
+ * - Componentes conexos filtrados por altura y ancho relativos a la placa
+ * - Los componentes demasiado anchos (caracteres pegados) se dividen por proyección vertical
+ * - Si los componentes no dan suficientes caracteres, se segmenta sólo por proyección vertical
+ */
+
+/**
+ * Parámetros por defecto de la segmentación
+ */
+export const SEGMENTATION_DEFAULTS = {
+  minHeightRatio: 0.35, // Altura mínima de un carácter relativa a la placa
+  maxHeightRatio: 0.95,
+  maxWidthRatio: 0.25,
+  minPixels: 30,
+  minCharacters: 4,
+  maxCharacters: 10,
+  sampleSize: 28 // Lado de la muestra que recibe el clasificador
+}
+
+// Máscara del texto: 1 en los píxeles del carácter. Lo habitual es texto oscuro sobre fondo claro
+function foregroundMask(pixels, threshold) {
+  const light = binarize(pixels, threshold)
+  let lightCount = 0
+  for (let i = 0; i < light.length; i++) lightCount += light[i]
+
+  if (lightCount > light.length / 2) {
+    const dark = new Uint8Array(light.length)
+    for (let i = 0; i < light.length; i++) dark[i] = 1 - light[i]
+    return { mask: dark, polarity: 'dark' }
+  }
+  return { mask: light, polarity: 'light' }
+}
+
+// Píxeles de primer plano por columna dentro de un rectángulo
+function columnProfile(mask, width, { x, y, width: boxWidth, height: boxHeight }) {
+  const profile = new Array(boxWidth).fill(0)
+  for (let row = y; row < y + boxHeight; row++) {
+    for (let col = x; col < x + boxWidth; col++) profile[col - x] += mask[row * width + col]
+  }
+  return profile
+}
+
+// Ajusta la caja a las filas con primer plano entre dos columnas (dentro de [fromRow, toRow))
+function verticalExtent(mask, width, left, right, fromRow, toRow) {
+  let top = toRow
+  let bottom = -1
+  for (let row = fromRow; row < toRow; row++) {
+    for (let col = left; col < right; col++) {
+      if (mask[row * width + col]) {
+        if (row < top) top = row
+        if (row > bottom) bottom = row
+        break
+      }
+    }
+  }
+  return bottom < 0 ? null : { x: left, y: top, width: right - left, height: bottom - top + 1 }
+}
+
+/**
+ * Divide una caja en `parts` caracteres cortando por los mínimos de la proyección vertical
+ * @param {Uint8Array} mask - Máscara de primer plano
+ * @param {number} width - Ancho de la imagen
+ * @param {Object} box - { x, y, width, height }
+ * @param {number} parts - Número de caracteres esperados
+ * @returns {Array<Object>} - Cajas resultantes
+ */
+export function splitByProjection(mask, width, box, parts) {
+  const profile = columnProfile(mask, width, box)
+  const cuts = [0]
+
+  for (let part = 1; part < parts; part++) {
+    // Se busca el mínimo alrededor del corte ideal (±25 % del ancho de un carácter)
+    const ideal = Math.round((box.width * part) / parts)
+    const radius = Math.max(1, Math.round(box.width / parts / 4))
+    let best = ideal
+    for (let col = Math.max(1, ideal - radius); col <= Math.min(box.width - 1, ideal + radius); col++) {
+      if (profile[col] < profile[best]) best = col
+    }
+    cuts.push(best)
+  }
+  cuts.push(box.width)
+
+  return cuts.slice(0, -1)
+    .map((start, i) => verticalExtent(mask, width, box.x + start, box.x + cuts[i + 1], box.y, box.y + box.height))
+    .filter(Boolean)
+}
+
+/**
+ * Segmentación por proyección vertical de toda la placa: cada tramo de columnas con texto es un carácter
+ * @param {Uint8Array} mask - Máscara de primer plano
+ * @param {number} width - Ancho de la imagen
+ * @param {number} height - Alto de la imagen
+ * @param {Object} options - Parámetros (ver SEGMENTATION_DEFAULTS)
+ * @returns {Array<Object>} - Cajas { x, y, width, height }
+ */
+export function segmentByProjection(mask, width, height, options = SEGMENTATION_DEFAULTS) {
+  // Se ignoran las bandas superior e inferior, donde suelen estar el marco y las leyendas
+  const band = { x: 0, y: Math.round(height * 0.15), width, height: Math.round(height * 0.7) }
+  const profile = columnProfile(mask, width, band)
+  const minColumn = Math.max(1, Math.round(band.height * 0.05))
+  const boxes = []
+  let start = null
+
+  for (let col = 0; col <= width; col++) {
+    const active = col < width && profile[col] >= minColumn
+    if (active && start === null) start = col
+    if (!active && start !== null) {
+      const box = verticalExtent(mask, width, start, col, band.y, band.y + band.height)
+      // Guiones y restos del marco: demasiado bajos o demasiado delgados para ser un carácter
+      if (box && box.height >= band.height * 0.5 && box.width >= box.height * 0.08) boxes.push(box)
+      start = null
+    }
+  }
+
+  return boxes
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+/**
+ * Segmentación por componentes conexos
+ * @returns {Array<Object>} - Cajas { x, y, width, height }
+ */
+export function segmentByComponents(mask, width, height, options = SEGMENTATION_DEFAULTS) {
+  const boxes = findConnectedComponents(mask, width, height, options.minPixels)
+    .map(component => component.bbox)
+    .filter(box =>
+      box.height >= height * options.minHeightRatio &&
+      box.height <= height * options.maxHeightRatio &&
+      box.width <= box.height * 1.5)
+
+  if (boxes.length === 0) return boxes
+
+  // Caracteres pegados: componentes mucho más anchos que el carácter típico
+  const typicalWidth = median(boxes.map(box => box.width))
+  return boxes.flatMap(box => {
+    const parts = Math.round(box.width / typicalWidth)
+    return parts >= 2 ? splitByProjection(mask, width, box, parts) : [box]
+  })
+}
+
+/**
+ * Muestra cuadrada y normalizada de un carácter para el clasificador: el carácter
+ * queda claro (1) sobre fondo oscuro (0), centrado y con margen, como en MNIST
+ * @param {Uint8Array} pixels - Píxeles en escala de grises de la placa
+ * @param {number} width - Ancho de la placa
+ * @param {Object} box - { x, y, width, height }
+ * @param {string} polarity - 'dark' si el texto es más oscuro que el fondo
+ * @param {number} size - Lado de la muestra
+ * @returns {Float32Array} - size x size valores de 0 a 1
+ */
+export function characterSample(pixels, width, box, polarity, size = SEGMENTATION_DEFAULTS.sampleSize) {
+  const sample = new Float32Array(size * size)
+  const inner = Math.round(size * 0.7)
+  const scale = Math.max(box.width, box.height) / inner
+  const offsetX = (size - box.width / scale) / 2
+  const offsetY = (size - box.height / scale) / 2
+
+  for (let v = 0; v < size; v++) {
+    for (let u = 0; u < size; u++) {
+      const sx = (u - offsetX) * scale
+      const sy = (v - offsetY) * scale
+      if (sx < 0 || sy < 0 || sx >= box.width || sy >= box.height) continue
+
+      const value = pixels[(box.y + Math.floor(sy)) * width + box.x + Math.floor(sx)] / 255
+      sample[v * size + u] = polarity === 'dark' ? 1 - value : value
+    }
+  }
+
+  // Estiramiento de contraste para que la muestra no dependa de la iluminación
+  let min = 1
+  let max = 0
+  for (const value of sample) {
+    if (value < min) min = value
+    if (value > max) max = value
+  }
+  const range = max - min || 1
+  for (let i = 0; i < sample.length; i++) sample[i] = (sample[i] - min) / range
+
+  return sample
+}
+
+/**
+ * Segmenta los caracteres de una placa rectificada
+ * @param {Buffer} imageBuffer - Placa normalizada
+ * @param {Object} options - Parámetros (ver SEGMENTATION_DEFAULTS) y method: 'auto' | 'components' | 'projection'
+ * @returns {Promise<Object>} - { characters: [{ bbox, sample }], method, polarity, threshold, width, height }
+ */
+export async function segmentCharacters(imageBuffer, options = {}) {
+  const config = { ...SEGMENTATION_DEFAULTS, ...options }
+  const method = options.method || 'auto'
+
+  const { data, info } = await sharp(imageBuffer)
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+  const { width, height } = info
+
+  const threshold = otsuThreshold(data)
+  const { mask, polarity } = foregroundMask(data, threshold)
+
+  let boxes = []
+  let used = method
+  if (method !== 'projection') {
+    boxes = segmentByComponents(mask, width, height, config)
+    used = 'components'
+  }
+  if (method === 'projection' || (method === 'auto' && boxes.length < config.minCharacters)) {
+    boxes = segmentByProjection(mask, width, height, config)
+    used = 'projection'
+  }
+
+  // Se conservan los caracteres más altos y se ordenan de izquierda a derecha
+  boxes = boxes
+    .filter(box => box.width <= width * config.maxWidthRatio)
+    .sort((a, b) => b.height - a.height)
+    .slice(0, config.maxCharacters)
+    .sort((a, b) => a.x - b.x)
+
+  return {
+    characters: boxes.map(bbox => ({ bbox, sample: characterSample(data, width, bbox, polarity, config.sampleSize) })),
+    method: used,
+    polarity,
+    threshold,
+    width,
+    height
+  }
+}
+
+/**
+ * Dibuja las cajas de los caracteres sobre la placa (imagen de depuración)
+ * @param {Buffer} imageBuffer - Placa normalizada
+ * @param {Object} segmentation - Resultado de segmentCharacters
+ * @param {Array<string>} labels - Texto a mostrar sobre cada caja (opcional)
+ * @returns {Promise<Buffer>} - JPEG con las cajas
+ */
+export async function drawSegmentation(imageBuffer, segmentation, labels = []) {
+  const { width, height, characters } = segmentation
+  const rects = characters.map(({ bbox }, i) => `
+    <rect x="${bbox.x}" y="${bbox.y}" width="${bbox.width}" height="${bbox.height}"
+          fill="none" stroke="lime" stroke-width="2"/>
+    ${labels[i] ? `<text x="${bbox.x}" y="${Math.max(12, bbox.y - 2)}" fill="lime" font-size="14" font-weight="bold">${labels[i]}</text>` : ''}`)
+
+  const svgOverlay = `<svg width="${width}" height="${height}">${rects.join('')}</svg>`
+  return sharp(imageBuffer)
+    .composite([{ input: Buffer.from(svgOverlay), top: 0, left: 0 }])
+    .jpeg()
+    .toBuffer()
+}
@@ -0,0 +1,480 @@
+import sharp from 'sharp'
+
+/**
+ * Contour detection - Extracción de contornos cuadriláteros sobre una imagen de bordes
+ *
+ * Este módulo reemplaza la simulación de contornos por un proceso real:
+ * - Binarización del mapa de bordes (umbral de Otsu)
+ * - Cierre morfológico horizontal para unir borde y caracteres de la placa
+ * - Relleno de huecos para obtener regiones sólidas
+ * - Etiquetado de componentes conexos (vecindad 8)
+ * - Envolvente convexa y aproximación poligonal a cuadriláteros
+ * - Filtrado por relación de aspecto, área y relleno
+ */
+
+/**
+ * Parámetros por defecto de la detección
+ */
+export const CONTOUR_DEFAULTS = {
+  minAspectRatio: 3.0,
+  maxAspectRatio: 5.5,
+  idealAspectRatio: 4.5,
+  minAreaRatio: 0.002, // Área mínima relativa a la imagen
+  maxAreaRatio: 0.5,   // Área máxima relativa a la imagen
+  minConfidence: 0.5,
+  maxCandidates: 5
+}
+
+/**
+ * Calcula el umbral de Otsu de una imagen en escala de grises
+ * @param {Uint8Array} pixels - Píxeles en escala de grises (un canal)
+ * @returns {number} - Umbral óptimo entre 0 y 255
+ */
+export function otsuThreshold(pixels) {
+  const histogram = new Array(256).fill(0)
+  for (let i = 0; i < pixels.length; i++) histogram[pixels[i]]++
+
+  const total = pixels.length
+  let sumAll = 0
+  for (let t = 0; t < 256; t++) sumAll += t * histogram[t]
+
+  let sumBackground = 0
+  let weightBackground = 0
+  let bestVariance = -1
+  let threshold = 127
+
+  for (let t = 0; t < 256; t++) {
+    weightBackground += histogram[t]
+    if (weightBackground === 0) continue
+    const weightForeground = total - weightBackground
+    if (weightForeground === 0) break
+
+    sumBackground += t * histogram[t]
+    const meanBackground = sumBackground / weightBackground
+    const meanForeground = (sumAll - sumBackground) / weightForeground
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2
+
+    if (variance > bestVariance) {
+      bestVariance = variance
+      threshold = t
+    }
+  }
+
+  return threshold
+}
+
+/**
+ * Binariza una imagen: 1 para píxeles por encima del umbral, 0 para el resto
+ * @param {Uint8Array} pixels - Píxeles en escala de grises
+ * @param {number} threshold - Umbral de binarización
+ * @returns {Uint8Array} - Máscara binaria
+ */
+export function binarize(pixels, threshold) {
+  const mask = new Uint8Array(pixels.length)
+  for (let i = 0; i < pixels.length; i++) {
+    mask[i] = pixels[i] > threshold ? 1 : 0
+  }
+  return mask
+}
+
+// Cuenta píxeles activos en una ventana deslizante a lo largo de un eje
+function slidingCount(mask, width, height, radius, horizontal) {
+  const counts = new Uint16Array(mask.length)
+  const outer = horizontal ? height : width
+  const inner = horizontal ? width : height
+
+  for (let o = 0; o < outer; o++) {
+    const index = (i) => horizontal ? o * width + i : i * width + o
+    let sum = 0
+    for (let i = 0; i < Math.min(radius, inner); i++) sum += mask[index(i)]
+
+    for (let i = 0; i < inner; i++) {
+      const addAt = i + radius
+      const removeAt = i - radius - 1
+      if (addAt < inner) sum += mask[index(addAt)]
+      if (removeAt >= 0) sum -= mask[index(removeAt)]
+      counts[index(i)] = sum
+    }
+  }
+
+  return counts
+}
+
+// Dilatación (any) o erosión (all) separable con un elemento rectangular
+function morph(mask, width, height, radiusX, radiusY, erode) {
+  let result = mask
+  const passes = [[radiusX, true], [radiusY, false]]
+
+  for (const [radius, horizontal] of passes) {
+    if (radius <= 0) continue
+    const counts = slidingCount(result, width, height, radius, horizontal)
+    const next = new Uint8Array(result.length)
+    const inner = horizontal ? width : height
+
+    for (let i = 0; i < result.length; i++) {
+      if (!erode) {
+        next[i] = counts[i] > 0 ? 1 : 0
+        continue
+      }
+      // En la erosión la ventana se recorta en los bordes de la imagen
+      const position = horizontal ? i % width : Math.floor(i / width)
+      const windowSize = Math.min(inner - 1, position + radius) - Math.max(0, position - radius) + 1
+      next[i] = counts[i] === windowSize ? 1 : 0
+    }
+    result = next
+  }
+
+  return result
+}
+
+/**
+ * Cierre morfológico (dilatación seguida de erosión)
+ * @param {Uint8Array} mask - Máscara binaria
+ * @param {number} width - Ancho de la imagen
+ * @param {number} height - Alto de la imagen
+ * @param {number} radiusX - Radio horizontal del elemento estructurante
+ * @param {number} radiusY - Radio vertical del elemento estructurante
+ * @returns {Uint8Array} - Máscara cerrada
+ */
+export function closeMask(mask, width, height, radiusX, radiusY) {
+  const dilated = morph(mask, width, height, radiusX, radiusY, false)
+  return morph(dilated, width, height, radiusX, radiusY, true)
+}
+
+/**
+ * Rellena los huecos de una máscara: todo fondo no alcanzable desde el borde
+ * de la imagen pasa a primer plano (el interior de un marco de placa cerrado)
+ * @param {Uint8Array} mask - Máscara binaria
+ * @param {number} width - Ancho de la imagen
+ * @param {number} height - Alto de la imagen
+ * @returns {Uint8Array} - Máscara sin huecos
+ */
+export function fillHoles(mask, width, height) {
+  const outside = new Uint8Array(mask.length)
+  const stack = new Int32Array(mask.length)
+  let stackSize = 0
+
+  const seed = (i) => {
+    if (!mask[i] && !outside[i]) {
+      outside[i] = 1
+      stack[stackSize++] = i
+    }
+  }
+
+  for (let x = 0; x < width; x++) {
+    seed(x)
+    seed((height - 1) * width + x)
+  }
+  for (let y = 0; y < height; y++) {
+    seed(y * width)
+    seed(y * width + width - 1)
+  }
+
+  while (stackSize > 0) {
+    const current = stack[--stackSize]
+    const x = current % width
+    if (x > 0) seed(current - 1)
+    if (x < width - 1) seed(current + 1)
+    if (current >= width) seed(current - width)
+    if (current < mask.length - width) seed(current + width)
+  }
+
+  const filled = new Uint8Array(mask.length)
+  for (let i = 0; i < mask.length; i++) filled[i] = outside[i] ? 0 : 1
+  return filled
+}
+
+/**
+ * Etiqueta componentes conexos (vecindad 8) y extrae su contorno exterior
+ * como los extremos izquierdo y derecho de cada fila
+ * @param {Uint8Array} mask - Máscara binaria
+ * @param {number} width - Ancho de la imagen
+ * @param {number} height - Alto de la imagen
+ * @param {number} minPixels - Tamaño mínimo de componente
+ * @returns {Array<Object>} - Componentes con { pixelCount, bbox, boundary }
+ */
+export function findConnectedComponents(mask, width, height, minPixels = 1) {
+  const labels = new Int32Array(mask.length)
+  const stack = new Int32Array(mask.length)
+  const components = []
+  let nextLabel = 0
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue
+
+    nextLabel++
+    labels[start] = nextLabel
+    let stackSize = 0
+    stack[stackSize++] = start
+
+    let pixelCount = 0
+    let minX = width, minY = height, maxX = 0, maxY = 0
+    const rowExtents = new Map()
+
+    while (stackSize > 0) {
+      const current = stack[--stackSize]
+      const x = current % width
+      const y = (current - x) / width
+      pixelCount++
+
+      if (x < minX) minX = x
+      if (x > maxX) maxX = x
+      if (y < minY) minY = y
+      if (y > maxY) maxY = y
+
+      const extent = rowExtents.get(y)
+      if (!extent) rowExtents.set(y, [x, x])
+      else {
+        if (x < extent[0]) extent[0] = x
+        if (x > extent[1]) extent[1] = x
+      }
+
+      for (let dy = -1; dy <= 1; dy++) {
+        const ny = y + dy
+        if (ny < 0 || ny >= height) continue
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx
+          if ((dx === 0 && dy === 0) || nx < 0 || nx >= width) continue
+          const neighbor = ny * width + nx
+          if (mask[neighbor] && !labels[neighbor]) {
+            labels[neighbor] = nextLabel
+            stack[stackSize++] = neighbor
+          }
+        }
+      }
+    }
+
+    if (pixelCount < minPixels) continue
+
+    const boundary = []
+    for (const [y, [left, right]] of rowExtents) {
+      boundary.push([left, y], [right + 1, y], [left, y + 1], [right + 1, y + 1])
+    }
+
+    components.push({
+      pixelCount,
+      bbox: { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 },
+      boundary
+    })
+  }
+
+  return components
+}
+
+/**
+ * Envolvente convexa (monotone chain) en sentido horario en coordenadas de imagen
+ * @param {Array<Array<number>>} points - Puntos [x, y]
+ * @returns {Array<Array<number>>} - Vértices de la envolvente
+ */
+export function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1])
+  if (sorted.length <= 2) return sorted
+
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0])
+  const lower = []
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop()
+    lower.push(p)
+  }
+  const upper = []
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i]
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop()
+    upper.push(p)
+  }
+
+  lower.pop()
+  upper.pop()
+  return lower.concat(upper)
+}
+
+function pointLineDistance(p, a, b) {
+  const dx = b[0] - a[0]
+  const dy = b[1] - a[1]
+  const length = Math.hypot(dx, dy)
+  if (length === 0) return Math.hypot(p[0] - a[0], p[1] - a[1])
+  return Math.abs(dy * p[0] - dx * p[1] + b[0] * a[1] - b[1] * a[0]) / length
+}
+
+function douglasPeucker(points, epsilon) {
+  if (points.length < 3) return points
+  let maxDistance = 0
+  let index = 0
+  const last = points.length - 1
+  for (let i = 1; i < last; i++) {
+    const distance = pointLineDistance(points[i], points[0], points[last])
+    if (distance > maxDistance) {
+      maxDistance = distance
+      index = i
+    }
+  }
+  if (maxDistance <= epsilon) return [points[0], points[last]]
+  const left = douglasPeucker(points.slice(0, index + 1), epsilon)
+  const right = douglasPeucker(points.slice(index), epsilon)
+  return left.slice(0, -1).concat(right)
+}
+
+function polygonPerimeter(polygon) {
+  let perimeter = 0
+  for (let i = 0; i < polygon.length; i++) {
+    const a = polygon[i]
+    const b = polygon[(i + 1) % polygon.length]
+    perimeter += Math.hypot(b[0] - a[0], b[1] - a[1])
+  }
+  return perimeter
+}
+
+/**
+ * Área de un polígono (fórmula del zapato)
+ * @param {Array<Array<number>>} polygon - Vértices [x, y]
+ * @returns {number} - Área absoluta
+ */
+export function polygonArea(polygon) {
+  let area = 0
+  for (let i = 0; i < polygon.length; i++) {
+    const [x1, y1] = polygon[i]
+    const [x2, y2] = polygon[(i + 1) % polygon.length]
+    area += x1 * y2 - x2 * y1
+  }
+  return Math.abs(area) / 2
+}
+
+/**
+ * Ordena cuatro esquinas como [superior-izquierda, superior-derecha, inferior-derecha, inferior-izquierda]
+ * @param {Array<Array<number>>} corners - Cuatro puntos [x, y]
+ * @returns {Array<Array<number>>} - Esquinas ordenadas
+ */
+export function orderCorners(corners) {
+  const bySum = [...corners].sort((a, b) => (a[0] + a[1]) - (b[0] + b[1]))
+  const byDiff = [...corners].sort((a, b) => (a[0] - a[1]) - (b[0] - b[1]))
+  return [bySum[0], byDiff[byDiff.length - 1], bySum[bySum.length - 1], byDiff[0]]
+}
+
+/**
+ * Aproxima una envolvente convexa a un cuadrilátero. Usa Douglas-Peucker con
+ * tolerancia creciente y, si no converge a 4 vértices, las esquinas extremas.
+ * @param {Array<Array<number>>} hull - Envolvente convexa
+ * @returns {Array<Array<number>>|null} - Cuatro esquinas ordenadas o null
+ */
+export function approximateQuadrilateral(hull) {
+  if (hull.length < 4) return null
+
+  const perimeter = polygonPerimeter(hull)
+  // Rotar la envolvente para que empiece en su punto más lejano al primero (polígono cerrado)
+  let farthest = 0
+  for (let i = 1; i < hull.length; i++) {
+    if (Math.hypot(hull[i][0] - hull[0][0], hull[i][1] - hull[0][1]) >
+        Math.hypot(hull[farthest][0] - hull[0][0], hull[farthest][1] - hull[0][1])) {
+      farthest = i
+    }
+  }
+
+  for (let factor = 0.01; factor <= 0.1; factor += 0.01) {
+    const epsilon = perimeter * factor
+    const firstHalf = douglasPeucker(hull.slice(0, farthest + 1), epsilon)
+    const secondHalf = douglasPeucker(hull.slice(farthest).concat([hull[0]]), epsilon)
+    const polygon = firstHalf.slice(0, -1).concat(secondHalf.slice(0, -1))
+    if (polygon.length === 4) return orderCorners(polygon)
+    if (polygon.length < 4) break
+  }
+
+  return orderCorners(hull)
+}
+
+/**
+ * Relación de aspecto de un cuadrilátero: promedio de lados horizontales entre verticales
+ * @param {Array<Array<number>>} corners - Esquinas ordenadas
+ * @returns {number} - Relación ancho/alto
+ */
+export function quadAspectRatio(corners) {
+  const [tl, tr, br, bl] = corners
+  const top = Math.hypot(tr[0] - tl[0], tr[1] - tl[1])
+  const bottom = Math.hypot(br[0] - bl[0], br[1] - bl[1])
+  const left = Math.hypot(bl[0] - tl[0], bl[1] - tl[1])
+  const right = Math.hypot(br[0] - tr[0], br[1] - tr[1])
+  const verticalAverage = (left + right) / 2
+  return verticalAverage > 0 ? ((top + bottom) / 2) / verticalAverage : 0
+}
+
+/**
+ * Detecta contornos cuadriláteros con forma de placa sobre un buffer de bordes
+ * @param {Buffer} imageBuffer - Imagen de bordes (cualquier formato soportado por sharp)
+ * @param {Object} options - Sobrescribe valores de CONTOUR_DEFAULTS
+ * @returns {Promise<Object>} - { candidates, stats }
+ */
+export async function detectRectangularContours(imageBuffer, options = {}) {
+  const settings = { ...CONTOUR_DEFAULTS, ...options }
+
+  const { data, info } = await sharp(imageBuffer)
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+
+  const { width, height, channels } = info
+  const pixels = channels === 1 ? new Uint8Array(data) : new Uint8Array(width * height)
+  if (channels !== 1) {
+    for (let i = 0; i < pixels.length; i++) pixels[i] = data[i * channels]
+  }
+
+  // Binarización y cierre: los caracteres se funden con el marco de la placa
+  const threshold = otsuThreshold(pixels)
+  const binary = binarize(pixels, threshold)
+  const closed = closeMask(
+    binary,
+    width,
+    height,
+    Math.max(2, Math.round(width / 60)),
+    Math.max(1, Math.round(height / 120))
+  )
+  const solid = fillHoles(closed, width, height)
+
+  const imageArea = width * height
+  const minPixels = Math.round(imageArea * settings.minAreaRatio * 0.5)
+  const components = findConnectedComponents(solid, width, height, Math.max(minPixels, 20))
+
+  const candidates = []
+  for (const component of components) {
+    const hull = convexHull(component.boundary)
+    const corners = approximateQuadrilateral(hull)
+    if (!corners) continue
+
+    const area = polygonArea(corners)
+    const areaRatio = area / imageArea
+    if (areaRatio < settings.minAreaRatio || areaRatio > settings.maxAreaRatio) continue
+
+    const aspectRatio = quadAspectRatio(corners)
+    if (aspectRatio < settings.minAspectRatio || aspectRatio > settings.maxAspectRatio) continue
+
+    // Confianza: qué tanto rellena el componente su cuadrilátero y cercanía al aspecto ideal
+    const fillRatio = Math.min(1, component.pixelCount / area)
+    const aspectSpread = settings.maxAspectRatio - settings.minAspectRatio
+    const aspectScore = Math.max(0, 1 - Math.abs(aspectRatio - settings.idealAspectRatio) / aspectSpread)
+    const confidence = fillRatio * 0.7 + aspectScore * 0.3
+
+    if (confidence <= settings.minConfidence) continue
+
+    candidates.push({
+      corners: corners.map(([x, y]) => [x, y]),
+      confidence,
+      aspectRatio,
+      area,
+      fillRatio
+    })
+  }
+
+  candidates.sort((a, b) => b.confidence - a.confidence)
+  const selected = candidates
+    .slice(0, settings.maxCandidates)
+    .map((candidate, index) => ({ id: index + 1, ...candidate }))
+
+  return {
+    candidates: selected,
+    stats: {
+      width,
+      height,
+      threshold,
+      componentsFound: components.length,
+      candidatesRejected: components.length - candidates.length
+    }
+  }
+}
@@ -0,0 +1,29 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+// Carpeta de imágenes de prueba, junto al proyecto
+export const TEST_DATASET_PATH = path.join(process.cwd(), '..', 'test-dataset')
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png']
+
+/**
+ * Lista las imágenes del dataset de prueba
+ * @returns {Promise<Array<string>>} - Nombres de archivo ordenados
+ */
+export async function listDatasetImages() {
+  const files = await fs.readdir(TEST_DATASET_PATH)
+  return files
+    .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort()
+}
+
+/**
+ * Ruta absoluta de una imagen del dataset, rechazando nombres fuera de la carpeta
+ * @param {string} name - Nombre de archivo
+ * @returns {string|null} - Ruta o null si el nombre no es válido
+ */
+export function resolveDatasetImage(name) {
+  if (typeof name !== 'string' || name === '' || name !== path.basename(name)) return null
+  if (!IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase())) return null
+  return path.join(TEST_DATASET_PATH, name)
+}
@@ -0,0 +1,135 @@
+import path from 'path'
+import { createJsonStore } from './json-store.js'
+import { orderCorners } from './contour-detection.js'
+
+/**
+ * Ground truth - Manifiesto con la placa correcta de cada imagen del dataset
+ *
+ * El manifiesto vive junto a test-dataset (que no se versiona) para poder
+ * versionar las etiquetas sin las imágenes.
+ */
+
+export const GROUND_TRUTH_PATH = process.env.GROUND_TRUTH_PATH ||
+  path.join(process.cwd(), '..', 'ground-truth.json')
+
+const MAX_PLATE_LENGTH = 15
+
+const emptyManifest = () => ({ version: 1, images: {} })
+const defaultStore = createJsonStore(GROUND_TRUTH_PATH, emptyManifest)
+
+/**
+ * Carga el manifiesto
+ * @param {string} manifestPath - Ruta del manifiesto (default: GROUND_TRUTH_PATH)
+ * @returns {Promise<Object>} - { version, images: { [nombre]: { plateText, corners, updatedAt } } }
+ */
+export async function loadGroundTruth(manifestPath = GROUND_TRUTH_PATH) {
+  const store = manifestPath === GROUND_TRUTH_PATH ? defaultStore : createJsonStore(manifestPath, emptyManifest)
+  const manifest = await store.read()
+  return { version: 1, ...manifest, images: manifest.images || {} }
+}
+
+/**
+ * Valida y normaliza una etiqueta
+ * @param {Object} label - { plateText, corners }
+ * @returns {Object} - { plateText, corners } con esquinas ordenadas [TL, TR, BR, BL]
+ */
+export function validateLabel({ plateText, corners = null } = {}) {
+  if (typeof plateText !== 'string' || plateText.trim() === '') {
+    throw new Error('plateText es obligatorio')
+  }
+
+  const text = plateText.trim().toUpperCase().replace(/\s+/g, '')
+  if (!/^[A-Z0-9-]+$/.test(text) || text.length > MAX_PLATE_LENGTH) {
+    throw new Error(`plateText sólo admite letras, dígitos y guiones (máximo ${MAX_PLATE_LENGTH})`)
+  }
+
+  if (corners === null) return { plateText: text, corners: null }
+
+  const validPoint = (point) => Array.isArray(point) && point.length === 2 &&
+    point.every(v => typeof v === 'number' && Number.isFinite(v) && v >= 0)
+  if (!Array.isArray(corners) || corners.length !== 4 || !corners.every(validPoint)) {
+    throw new Error('corners debe ser una lista de cuatro puntos [x, y] en píxeles')
+  }
+
+  return {
+    plateText: text,
+    corners: orderCorners(corners.map(([x, y]) => [Math.round(x), Math.round(y)]))
+  }
+}
+
+/**
+ * Guarda o reemplaza la etiqueta de una imagen
+ * @param {string} image - Nombre de archivo en test-dataset
+ * @param {Object} label - { plateText, corners }
+ * @returns {Promise<Object>} - Etiqueta guardada
+ */
+export async function saveGroundTruthLabel(image, label) {
+  const entry = { ...validateLabel(label), updatedAt: new Date().toISOString() }
+
+  return defaultStore.update((manifest) => {
+    manifest.images = manifest.images || {}
+    manifest.images[image] = entry
+    manifest.images = sortByName(manifest.images)
+    return entry
+  })
+}
+
+/**
+ * Elimina la etiqueta de una imagen
+ * @param {string} image - Nombre de archivo
+ * @returns {Promise<boolean>} - true si existía
+ */
+export async function deleteGroundTruthLabel(image) {
+  return defaultStore.update((manifest) => {
+    if (!manifest.images?.[image]) return false
+    delete manifest.images[image]
+    return true
+  })
+}
+
+// Orden estable para que los diffs del manifiesto sean legibles
+function sortByName(images) {
+  return Object.fromEntries(Object.entries(images).sort(([a], [b]) => a.localeCompare(b)))
+}
+
+/**
+ * Normaliza un texto de placa para compararlo: mayúsculas, sin guiones ni espacios
+ * @param {string} text - Texto de placa
+ * @returns {string} - Texto normalizado
+ */
+export function normalizePlateText(text) {
+  return (text || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+}
+
+/**
+ * Distancia de edición (Levenshtein) entre dos cadenas
+ * @param {string} a - Primera cadena
+ * @param {string} b - Segunda cadena
+ * @returns {number} - Inserciones, borrados y sustituciones necesarias
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * Tasa de error por carácter (CER) de una lectura respecto a la placa esperada
+ * @param {string} predicted - Placa leída (null si no se leyó)
+ * @param {string} expected - Placa correcta
+ * @returns {number} - Distancia de edición / longitud esperada
+ */
+export function characterErrorRate(predicted, expected) {
+  const truth = normalizePlateText(expected)
+  if (truth.length === 0) return 0
+  return editDistance(normalizePlateText(predicted), truth) / truth.length
+}
@@ -0,0 +1,231 @@
+import fs from 'fs/promises'
+import { createProcessingLogger } from './processing-logger.js'
+import { broadcastToSession } from './websocket.js'
+import { runAnalysis } from './analysis.js'
+
+/**
+ * Job queue - Cola en memoria para análisis asíncronos
+ *
+ * Cada trabajo ejecuta un pipeline con su propio ProcessingLogger. El id del
+ * trabajo es también el sessionId, así que el cliente puede consultar el estado
+ * por HTTP o suscribirse por WebSocket a los mismos eventos.
+ */
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+}
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED]
+
+// Un trabajo a la vez por defecto: una inferencia de TensorFlow ya usa los hilos del backend
+// nativo y todas las lecturas comparten los workers de Tesseract (OCR_POOL_SIZE), así que
+// otro análisis en paralelo sobre todo espera esos recursos. Subirlo junto con OCR_POOL_SIZE
+const MAX_CONCURRENT_JOBS = Number(process.env.JOB_CONCURRENCY) || 1
+// Tiempo que se conservan los trabajos terminados
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS) || 60 * 60 * 1000
+// Eventos guardados por trabajo (los más antiguos se descartan)
+const MAX_JOB_EVENTS = 500
+
+const jobs = new Map()
+const queue = []
+let running = 0
+
+/**
+ * Encola un análisis
+ * @param {Object} params - { id, imagePath, pipeline (configuración resuelta), originalName, removeImage }
+ *   removeImage: borrar imagePath al terminar (archivos temporales de subida)
+ * @returns {Object} - Trabajo creado
+ */
+export function enqueueJob({ id, imagePath, pipeline, originalName = null, removeImage = true }) {
+  if (jobs.has(id)) {
+    throw new Error(`Ya existe un trabajo con id ${id}`)
+  }
+
+  pruneFinishedJobs()
+
+  const job = {
+    id,
+    status: JOB_STATUS.QUEUED,
+    pipeline: pipeline.name,
+    profile: pipeline.profile || null,
+    originalName,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    progress: null,
+    events: [],
+    eventsDropped: 0,
+    result: null,
+    error: null,
+    cancelRequested: false,
+
+    // Estado interno, no se serializa
+    imagePath,
+    removeImage,
+    pipelineConfig: pipeline,
+    controller: new AbortController()
+  }
+
+  jobs.set(id, job)
+  queue.push(job)
+  notifyStatus(job)
+  processQueue()
+
+  return job
+}
+
+/**
+ * Obtiene un trabajo por id
+ * @param {string} id - Id del trabajo
+ * @returns {Object|null} - Trabajo o null
+ */
+export function getJob(id) {
+  return jobs.get(id) || null
+}
+
+/**
+ * Cancela un trabajo en cola o en ejecución.
+ * Un trabajo en ejecución se detiene al terminar su etapa (o variación de OCR) actual.
+ * @param {string} id - Id del trabajo
+ * @returns {Object|null} - Trabajo o null si no existe
+ */
+export function cancelJob(id) {
+  const job = jobs.get(id)
+  if (!job || FINISHED_STATUSES.includes(job.status)) return job || null
+
+  job.cancelRequested = true
+  job.controller.abort(new Error('Trabajo cancelado por el cliente'))
+
+  if (job.status === JOB_STATUS.QUEUED) {
+    queue.splice(queue.indexOf(job), 1)
+    finishJob(job, JOB_STATUS.CANCELLED)
+  }
+
+  return job
+}
+
+/**
+ * Representación pública de un trabajo
+ * @param {Object} job - Trabajo
+ * @param {Object} options - { since: índice del primer evento a incluir }
+ * @returns {Object} - Trabajo serializable
+ */
+export function serializeJob(job, { since = 0 } = {}) {
+  const { imagePath, removeImage, pipelineConfig, controller, events, ...data } = job
+  return {
+    ...data,
+    queuePosition: job.status === JOB_STATUS.QUEUED ? queue.indexOf(job) + 1 : null,
+    totalEvents: job.eventsDropped + events.length,
+    events: events.slice(Math.max(0, since - job.eventsDropped))
+  }
+}
+
+/**
+ * Estadísticas de la cola
+ * @returns {Object} - { queued, running, total, concurrency }
+ */
+export function getQueueStats() {
+  return {
+    queued: queue.length,
+    running,
+    total: jobs.size,
+    concurrency: MAX_CONCURRENT_JOBS
+  }
+}
+
+function processQueue() {
+  while (running < MAX_CONCURRENT_JOBS && queue.length > 0) {
+    const job = queue.shift()
+    running++
+    runJob(job).finally(() => {
+      running--
+      processQueue()
+    })
+  }
+}
+
+async function runJob(job) {
+  const logger = createProcessingLogger(job.id)
+  const { signal } = job.controller
+
+  logger.onEvent((event) => recordEvent(job, event))
+
+  job.status = JOB_STATUS.RUNNING
+  job.startedAt = new Date().toISOString()
+  notifyStatus(job)
+
+  try {
+    logger.info(`🗂️ Trabajo ${job.id} iniciado`)
+    const response = await runAnalysis({
+      imagePath: job.imagePath,
+      pipeline: job.pipelineConfig,
+      logger,
+      signal,
+      originalName: job.originalName,
+      interactive: true
+    })
+
+    job.result = response
+    broadcastToSession(job.id, { type: 'analysis_complete', ...response })
+    finishJob(job, JOB_STATUS.COMPLETED)
+  } catch (error) {
+    if (signal.aborted) {
+      logger.warning(`🛑 ${signal.reason?.message || 'Trabajo cancelado'}`)
+      finishJob(job, JOB_STATUS.CANCELLED)
+    } else {
+      logger.error(`💥 Error crítico: ${error.message}`)
+      job.error = error.message
+      broadcastToSession(job.id, { type: 'analysis_error', error: error.message, sessionId: job.id })
+      finishJob(job, JOB_STATUS.FAILED)
+    }
+  }
+}
+
+function recordEvent(job, event) {
+  // El resumen final repite todos los logs; basta con los eventos individuales
+  if (event.type === 'session_complete') return
+
+  if (event.type === 'progress') {
+    job.progress = event
+  }
+
+  job.events.push(event)
+  if (job.events.length > MAX_JOB_EVENTS) {
+    job.events.shift()
+    job.eventsDropped++
+  }
+}
+
+function finishJob(job, status) {
+  job.status = status
+  job.finishedAt = new Date().toISOString()
+  notifyStatus(job)
+
+  if (job.imagePath && job.removeImage) {
+    fs.unlink(job.imagePath).catch(() => {})
+  }
+  job.imagePath = null
+}
+
+function notifyStatus(job) {
+  broadcastToSession(job.id, {
+    type: 'job_status',
+    jobId: job.id,
+    sessionId: job.id,
+    status: job.status,
+    timestamp: new Date().toISOString()
+  })
+}
+
+function pruneFinishedJobs() {
+  const now = Date.now()
+  for (const [id, job] of jobs) {
+    if (FINISHED_STATUSES.includes(job.status) && now - new Date(job.finishedAt).getTime() > JOB_TTL_MS) {
+      jobs.delete(id)
+    }
+  }
+}
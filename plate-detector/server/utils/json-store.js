@@ -0,0 +1,54 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * JSON store - Archivo JSON pequeño con escrituras atómicas y serializadas
+ *
+ * Las actualizaciones se encadenan para que dos peticiones simultáneas no se
+ * pisen, y se escriben en un archivo temporal que luego se renombra.
+ */
+
+/**
+ * Crea un store sobre un archivo JSON
+ * @param {string} filePath - Ruta del archivo
+ * @param {Function} defaults - () => valor inicial si el archivo no existe
+ * @returns {Object} - { filePath, read(), update(mutator) }
+ */
+export function createJsonStore(filePath, defaults = () => ({})) {
+  let pending = Promise.resolve()
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') return defaults()
+      throw new Error(`Archivo JSON inválido (${filePath}): ${error.message}`)
+    }
+  }
+
+  async function write(data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2) + '\n')
+    await fs.rename(tempPath, filePath)
+  }
+
+  /**
+   * Lee, modifica y guarda el archivo en exclusión mutua
+   * @param {Function} mutator - async (data) => resultado; modifica data en sitio
+   * @returns {Promise<*>} - Lo que devuelva mutator
+   */
+  function update(mutator) {
+    const run = pending.then(async () => {
+      const data = await read()
+      const result = await mutator(data)
+      await write(data)
+      return result
+    })
+    // Un error no debe bloquear las actualizaciones siguientes
+    pending = run.catch(() => {})
+    return run
+  }
+
+  return { filePath, read, update }
+}
@@ -0,0 +1,109 @@
+import { matchPlate } from './plate-formats/index.js'
+
+/**
+ * OCR consensus - Votación por carácter entre las lecturas de varias variaciones y regiones
+ *
+ * Las lecturas validadas con el mismo país y plantilla quedan alineadas posición
+ * a posición. Gana la plantilla con más peso acumulado y, dentro de ella, cada
+ * posición se decide por votación ponderada con la confianza de cada símbolo.
+ */
+
+// Peso de cada carácter de un candidato: confianza del símbolo o, si no se pudo alinear, la de la lectura
+function characterWeights(candidate) {
+  const length = candidate.plateInfo.normalized.length
+  const confidences = candidate.charConfidences
+  return Array.from({ length }, (_, i) => confidences?.[i] ?? candidate.confidence)
+}
+
+/**
+ * Agrupa los candidatos por país y plantilla
+ * @param {Array<Object>} candidates - Candidatos validados (con plateInfo)
+ * @returns {Array<Object>} - [{ key, country, template, candidates, weight }] de mayor a menor peso
+ */
+export function groupByTemplate(candidates) {
+  const groups = new Map()
+
+  for (const candidate of candidates) {
+    const { country, template } = candidate.plateInfo
+    const key = `${country}:${template}`
+    if (!groups.has(key)) groups.set(key, { key, country, template, candidates: [], weight: 0 })
+
+    const group = groups.get(key)
+    group.candidates.push(candidate)
+    group.weight += candidate.confidence
+  }
+
+  return [...groups.values()].sort((a, b) => b.weight - a.weight)
+}
+
+/**
+ * Fusiona los candidatos en una sola lectura por votación de caracteres
+ * @param {Array<Object>} candidates - Candidatos validados { plateInfo, confidence, charConfidences, region, rawText, substitutions }
+ * @returns {Object|null} - { normalized, plateText, plateInfo, country, template, agreement, agreementScore,
+ *   positions: [{ char, agreement, votes }], readings, groups, confidence, regions, rawText, substitutions } o null sin candidatos
+ *   `rawText` y `substitutions` son los de una sola lectura: la más segura que coincide con el resultado
+ */
+export function fuseCandidates(candidates) {
+  if (candidates.length === 0) return null
+
+  const groups = groupByTemplate(candidates)
+  const [group] = groups
+  const length = group.candidates[0].plateInfo.normalized.length
+  const votes = Array.from({ length }, () => new Map())
+
+  for (const candidate of group.candidates) {
+    const weights = characterWeights(candidate)
+    const chars = candidate.plateInfo.normalized
+
+    for (let i = 0; i < length; i++) {
+      votes[i].set(chars[i], (votes[i].get(chars[i]) || 0) + weights[i])
+    }
+  }
+
+  const positions = votes.map(counts => {
+    const total = [...counts.values()].reduce((sum, weight) => sum + weight, 0)
+    const [char, weight] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]
+    return {
+      char,
+      agreement: total > 0 ? Number((weight / total).toFixed(3)) : 0,
+      votes: Object.fromEntries([...counts.entries()].map(([c, w]) => [c, Number(w.toFixed(3))]))
+    }
+  })
+
+  const normalized = positions.map(position => position.char).join('')
+
+  // La lectura fusionada puede no encajar en la plantilla (p. ej. un prefijo de servicio);
+  // en ese caso se conserva la lectura con más peso del grupo
+  const plateInfo = matchPlate(normalized, { region: [group.country] })
+    .find(result => result.normalized === normalized && result.template === group.template) ||
+    [...group.candidates].sort((a, b) => b.confidence - a.confidence)[0].plateInfo
+
+  const agreement = positions.map(position => position.agreement)
+
+  // Lectura original de referencia: la más segura entre las que dieron el resultado final,
+  // preferentemente una corregida, para que la corrección del OCR siga visible tras la votación
+  const agreeing = group.candidates
+    .filter(candidate => candidate.plateInfo.normalized === plateInfo.normalized)
+    .sort((a, b) => b.confidence - a.confidence)
+  const sources = agreeing.length > 0 ? agreeing : [[...group.candidates].sort((a, b) => b.confidence - a.confidence)[0]]
+  // Las posiciones de cada sustitución son relativas a su propio texto crudo: sólo se
+  // devuelven las de la lectura de referencia, cuyo rawText acompaña al resultado
+  const reference = sources.find(candidate => candidate.substitutions?.length > 0) || sources[0]
+
+  return {
+    normalized: plateInfo.normalized,
+    plateText: plateInfo.plateText,
+    plateInfo,
+    country: group.country,
+    template: group.template,
+    agreement,
+    agreementScore: Number((agreement.reduce((sum, value) => sum + value, 0) / agreement.length).toFixed(3)),
+    positions,
+    readings: group.candidates.length,
+    groups: groups.length,
+    confidence: group.weight / group.candidates.length,
+    regions: [...new Set(group.candidates.map(candidate => candidate.region))],
+    rawText: reference.rawText ?? null,
+    substitutions: reference.substitutions || []
+  }
+}
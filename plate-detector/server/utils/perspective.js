@@ -0,0 +1,141 @@
+import sharp from 'sharp'
+
+/**
+ * Perspective - Corrección de perspectiva mediante homografía
+ *
+ * Calcula la matriz 3x3 que lleva las cuatro esquinas detectadas de una placa
+ * a un rectángulo canónico y remuestrea los píxeles con interpolación bilineal.
+ */
+
+/**
+ * Dimensiones del rectángulo canónico de placa
+ */
+export const CANONICAL_PLATE_SIZE = {
+  width: 400,
+  height: 120
+}
+
+// Resuelve A·x = b por eliminación gaussiana con pivoteo parcial
+function solveLinearSystem(matrix, vector) {
+  const n = vector.length
+  const a = matrix.map((row, i) => [...row, vector[i]])
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) {
+      throw new Error('Las esquinas no definen una homografía válida (puntos colineales)')
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]]
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col]
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k]
+    }
+  }
+
+  const solution = new Array(n).fill(0)
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n]
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * solution[k]
+    solution[row] = sum / a[row][row]
+  }
+  return solution
+}
+
+/**
+ * Calcula la homografía que transforma cuatro puntos origen en cuatro puntos destino
+ * @param {Array<Array<number>>} source - Cuatro puntos [x, y] de origen
+ * @param {Array<Array<number>>} destination - Cuatro puntos [x, y] de destino
+ * @returns {Array<number>} - Matriz 3x3 en orden de filas (h33 = 1)
+ */
+export function computeHomography(source, destination) {
+  const matrix = []
+  const vector = []
+
+  for (let i = 0; i < 4; i++) {
+    const [x, y] = source[i]
+    const [u, v] = destination[i]
+    matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y])
+    vector.push(u)
+    matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y])
+    vector.push(v)
+  }
+
+  return [...solveLinearSystem(matrix, vector), 1]
+}
+
+/**
+ * Aplica una homografía a un punto
+ * @param {Array<number>} h - Matriz 3x3 en orden de filas
+ * @param {number} x - Coordenada x
+ * @param {number} y - Coordenada y
+ * @returns {Array<number>} - Punto transformado [x, y]
+ */
+export function applyHomography(h, x, y) {
+  const w = h[6] * x + h[7] * y + h[8]
+  return [
+    (h[0] * x + h[1] * y + h[2]) / w,
+    (h[3] * x + h[4] * y + h[5]) / w
+  ]
+}
+
+/**
+ * Rectifica un cuadrilátero de la imagen a un rectángulo con interpolación bilineal
+ * @param {Buffer} imageBuffer - Imagen de origen
+ * @param {Array<Array<number>>} corners - Esquinas [sup-izq, sup-der, inf-der, inf-izq] en píxeles de la imagen
+ * @param {Object} size - Tamaño de salida { width, height } (por defecto CANONICAL_PLATE_SIZE)
+ * @returns {Promise<Object>} - { buffer (JPEG), homography }
+ */
+export async function warpPerspective(imageBuffer, corners, size = CANONICAL_PLATE_SIZE) {
+  const { width: outWidth, height: outHeight } = size
+  const { data, info } = await sharp(imageBuffer)
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+
+  const { width, height, channels } = info
+  const target = [[0, 0], [outWidth - 1, 0], [outWidth - 1, outHeight - 1], [0, outHeight - 1]]
+
+  // Se mapea cada píxel de salida hacia la imagen origen (transformación inversa)
+  const inverse = computeHomography(target, corners)
+  const output = Buffer.alloc(outWidth * outHeight * channels)
+
+  for (let v = 0; v < outHeight; v++) {
+    for (let u = 0; u < outWidth; u++) {
+      const [sx, sy] = applyHomography(inverse, u, v)
+      const x = Math.min(Math.max(sx, 0), width - 1)
+      const y = Math.min(Math.max(sy, 0), height - 1)
+
+      const x0 = Math.floor(x)
+      const y0 = Math.floor(y)
+      const x1 = Math.min(x0 + 1, width - 1)
+      const y1 = Math.min(y0 + 1, height - 1)
+      const fx = x - x0
+      const fy = y - y0
+
+      const outIndex = (v * outWidth + u) * channels
+      for (let c = 0; c < channels; c++) {
+        const topLeft = data[(y0 * width + x0) * channels + c]
+        const topRight = data[(y0 * width + x1) * channels + c]
+        const bottomLeft = data[(y1 * width + x0) * channels + c]
+        const bottomRight = data[(y1 * width + x1) * channels + c]
+
+        const top = topLeft + (topRight - topLeft) * fx
+        const bottom = bottomLeft + (bottomRight - bottomLeft) * fx
+        output[outIndex + c] = Math.round(top + (bottom - top) * fy)
+      }
+    }
+  }
+
+  const buffer = await sharp(output, { raw: { width: outWidth, height: outHeight, channels } })
+    .jpeg({ quality: 95 })
+    .toBuffer()
+
+  return {
+    buffer,
+    homography: computeHomography(corners, target)
+  }
+}
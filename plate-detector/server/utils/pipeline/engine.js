@@ -0,0 +1,159 @@
+import fs from 'fs/promises'
+import sharp from 'sharp'
+import { PROCESSING_STEPS } from '../processing-logger.js'
+import { vehicleDetectionStep } from './steps/vehicle-detection.js'
+import { vehicleAttributesStep } from './steps/vehicle-attributes.js'
+import { regionProposalStep } from './steps/region-proposal.js'
+import { enhancementStep } from './steps/enhancement.js'
+import { segmentationStep } from './steps/segmentation.js'
+import { ocrStep } from './steps/ocr.js'
+import { correctionStep } from './steps/correction.js'
+import { validationStep } from './steps/validation.js'
+import { scoringStep } from './steps/scoring.js'
+import { PIPELINES } from './pipelines.js'
+
+/**
+ * Pipeline engine - Motor de ejecución de pipelines de análisis de placas
+ *
+ * Cada etapa (detección de vehículo, propuesta de regiones, variaciones de
+ * mejora, OCR, validación y puntuación) se registra por nombre. Un pipeline es
+ * una configuración con nombre que lista las etapas a ejecutar y sus opciones.
+ * Las etapas y los pipelines incluidos se registran al importar este módulo.
+ */
+
+const STEP_REGISTRY = new Map()
+const PIPELINE_REGISTRY = new Map()
+
+/**
+ * Registra una etapa de pipeline
+ * @param {string} name - Nombre único de la etapa
+ * @param {Function} run - async (context, options) => void, modifica el contexto
+ */
+export function registerPipelineStep(name, run) {
+  if (typeof run !== 'function') {
+    throw new Error(`La etapa "${name}" debe ser una función`)
+  }
+  STEP_REGISTRY.set(name, run)
+}
+
+/**
+ * Obtiene una etapa registrada
+ * @param {string} name - Nombre de la etapa
+ * @returns {Function} - Función de la etapa
+ */
+export function getPipelineStep(name) {
+  const step = STEP_REGISTRY.get(name)
+  if (!step) {
+    throw new Error(`Etapa de pipeline desconocida: ${name}`)
+  }
+  return step
+}
+
+/**
+ * Registra una configuración de pipeline con nombre
+ * @param {string} name - Nombre del pipeline
+ * @param {Object} config - { description, steps: [{ step, options }], response }
+ */
+export function registerPipeline(name, config) {
+  PIPELINE_REGISTRY.set(name, { name, ...config })
+}
+
+/**
+ * Obtiene una configuración de pipeline registrada
+ * @param {string} name - Nombre del pipeline
+ * @returns {Object} - Configuración del pipeline
+ */
+export function getPipeline(name) {
+  const pipeline = PIPELINE_REGISTRY.get(name)
+  if (!pipeline) {
+    throw new Error(`Pipeline desconocido: ${name}`)
+  }
+  return pipeline
+}
+
+/**
+ * Lista los nombres de los pipelines registrados
+ * @returns {Array<string>} - Nombres de pipeline
+ */
+export function listPipelines() {
+  return [...PIPELINE_REGISTRY.keys()]
+}
+
+/**
+ * Crea el contexto compartido por las etapas de un pipeline
+ * @param {Object} params - { imagePath, logger, pipeline, signal }
+ * @returns {Promise<Object>} - Contexto inicial
+ */
+export async function createPipelineContext({ imagePath, logger, pipeline, signal = null }) {
+  const imageBuffer = await fs.readFile(imagePath)
+  const metadata = await sharp(imageBuffer).metadata()
+  const saveImages = pipeline.saveImages !== false
+
+  return {
+    pipeline: pipeline.name,
+    imagePath,
+    imageBuffer,
+    metadata,
+    logger,
+    // AbortSignal opcional; las etapas largas pueden revisarlo entre iteraciones
+    signal,
+
+    // Resultados que van llenando las etapas
+    vehicle: null,
+    vehicles: [],
+    regions: [],
+    variations: [],
+    readings: [],
+    candidates: [],
+    plateRegion: null,
+    plateCandidatesFound: 0,
+    result: null,
+    timings: {},
+
+    // Guarda imágenes intermedias salvo que el pipeline lo desactive
+    saveImage: (buffer, stepName, description) => saveImages
+      ? logger.saveProcessedImage(buffer, stepName, description)
+      : Promise.resolve(null)
+  }
+}
+
+/**
+ * Ejecuta un pipeline sobre una imagen
+ * @param {Object|string} pipeline - Configuración o nombre de pipeline registrado
+ * @param {Object} params - { imagePath, logger, signal }
+ * @returns {Promise<Object>} - Contexto final con los resultados de cada etapa
+ * @throws {Error} - signal.reason si se cancela entre etapas
+ */
+export async function runPipeline(pipeline, { imagePath, logger, signal = null }) {
+  const config = typeof pipeline === 'string' ? getPipeline(pipeline) : pipeline
+  const context = await createPipelineContext({ imagePath, logger, pipeline: config, signal })
+
+  logger.info(`🧭 Pipeline "${config.name}": ${config.steps.map(s => s.step).join(' → ')}`)
+  await context.saveImage(context.imageBuffer, PROCESSING_STEPS.ORIGINAL, 'Imagen original recibida')
+
+  for (const { step, options = {} } of config.steps) {
+    signal?.throwIfAborted()
+    const run = getPipelineStep(step)
+    const stepStart = Date.now()
+    await run(context, options)
+    context.timings[step] = (context.timings[step] || 0) + (Date.now() - stepStart)
+  }
+
+  return context
+}
+
+// Etapas incluidas
+registerPipelineStep('vehicle-detection', vehicleDetectionStep)
+registerPipelineStep('vehicle-attributes', vehicleAttributesStep)
+registerPipelineStep('region-proposal', regionProposalStep)
+registerPipelineStep('enhancement', enhancementStep)
+registerPipelineStep('segmentation', segmentationStep)
+registerPipelineStep('ocr', ocrStep)
+registerPipelineStep('correction', correctionStep)
+registerPipelineStep('validation', validationStep)
+registerPipelineStep('scoring', scoringStep)
+
+// Pipelines con nombre
+for (const [name, config] of Object.entries(PIPELINES)) {
+  registerPipeline(name, config)
+}
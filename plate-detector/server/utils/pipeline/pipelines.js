@@ -0,0 +1,49 @@
+import { DEFAULT_REGIONS } from './steps/region-proposal.js'
+import { DEFAULT_VARIATIONS } from './steps/enhancement.js'
+
+// Pipeline multi-región: vehículo, imagen completa y mitad inferior con cuatro variaciones cada una;
+// todas las lecturas votan por carácter
+const MULTI_REGION_STEPS = [
+  { step: 'vehicle-detection', options: { threshold: 0.15 } },
+  { step: 'vehicle-attributes' },
+  { step: 'region-proposal', options: { regions: DEFAULT_REGIONS } },
+  { step: 'enhancement', options: { variations: DEFAULT_VARIATIONS } },
+  { step: 'ocr', options: { pageSegModes: ['7'] } },
+  { step: 'correction' },
+  { step: 'validation' },
+  { step: 'scoring', options: { strategy: 'consensus', minConfidence: 0.1 } }
+]
+
+/**
+ * Configuraciones de pipeline con nombre usadas por los endpoints de análisis
+ */
+export const PIPELINES = {
+  original: {
+    description: 'Pipeline original multi-región sin captura de imágenes intermedias',
+    saveImages: false,
+    response: { includeSessionData: false },
+    steps: MULTI_REGION_STEPS
+  },
+
+  // También lo usan analyze-plate-realtime y analyze-plate-streaming: sólo difieren en cómo
+  // consume el cliente los logs y el progreso, que se envían igual en los tres
+  enhanced: {
+    description: 'Pipeline multi-región con logging completo e imágenes procesadas',
+    steps: MULTI_REGION_STEPS
+  },
+
+  simple: {
+    description: 'Contornos rectangulares, corrección de perspectiva, normalización y OCR',
+    steps: [
+      { step: 'vehicle-detection', options: { threshold: 0.15, markImage: true } },
+      { step: 'vehicle-attributes' },
+      { step: 'region-proposal', options: { regions: [{ type: 'contours' }] } },
+      { step: 'enhancement', options: { variations: ['normalized'] } },
+      { step: 'segmentation' },
+      { step: 'ocr', options: { pageSegModes: ['7', '8'] } },
+      { step: 'correction' },
+      { step: 'validation' },
+      { step: 'scoring', options: { strategy: 'consensus' } }
+    ]
+  }
+}
@@ -0,0 +1,245 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { getPipeline, listPipelines } from './engine.js'
+import { DEFAULT_REGIONS } from './steps/region-proposal.js'
+import { ENHANCEMENT_VARIATIONS } from './steps/enhancement.js'
+import { OCR_BACKEND_NAMES } from './steps/ocr.js'
+import { resolveRegionHint } from '../plate-formats/index.js'
+
+/**
+ * Pipeline profiles - Perfiles con nombre y parámetros por petición
+ *
+ * Los perfiles viven en config/pipeline-profiles.json y se recargan cuando
+ * cambia el archivo, sin reiniciar el servidor.
+ */
+
+export const PROFILES_PATH = path.join(process.cwd(), 'config', 'pipeline-profiles.json')
+
+const SUPPORTED_PAGE_SEG_MODES = ['6', '7', '8', '13']
+
+let cachedProfiles = {}
+let cachedMtime = null
+
+/**
+ * Carga los perfiles del archivo de configuración, releyéndolo sólo si cambió
+ * @returns {Promise<Object>} - Perfiles por nombre
+ */
+export async function loadPipelineProfiles() {
+  try {
+    const { mtimeMs } = await fs.stat(PROFILES_PATH)
+    if (mtimeMs === cachedMtime) return cachedProfiles
+
+    const profiles = JSON.parse(await fs.readFile(PROFILES_PATH, 'utf8'))
+    for (const [name, profile] of Object.entries(profiles)) {
+      if (!listPipelines().includes(profile.pipeline)) {
+        throw new Error(`Pipeline desconocido en perfil "${name}": ${profile.pipeline} (usar ${listPipelines().join(', ')})`)
+      }
+      validatePipelineParams(profile.params || {}, `perfil "${name}"`)
+    }
+
+    cachedProfiles = profiles
+    cachedMtime = mtimeMs
+    console.log(`Pipeline profiles loaded: ${Object.keys(profiles).join(', ')}`)
+  } catch (error) {
+    // Se conservan los últimos perfiles válidos si el archivo no existe o es inválido
+    console.error('Error loading pipeline profiles:', error.message)
+  }
+  return cachedProfiles
+}
+
+/**
+ * Valida los parámetros de un pipeline
+ * @param {Object} params - { vehicleThreshold, maxVehicles, regions, cropRegions, variations, pageSegModes, ocrBackend, plateRegion }
+ * @param {string} origin - Origen de los parámetros, para el mensaje de error
+ */
+export function validatePipelineParams(params, origin = 'petición') {
+  const fail = (message) => { throw new Error(`Parámetro inválido en ${origin}: ${message}`) }
+
+  if (params.vehicleThreshold !== undefined) {
+    const value = params.vehicleThreshold
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > 1) {
+      fail('vehicleThreshold debe ser un número entre 0 y 1')
+    }
+  }
+
+  if (params.maxVehicles !== undefined) {
+    const value = params.maxVehicles
+    if (!Number.isInteger(value) || value < 1 || value > 20) {
+      fail('maxVehicles debe ser un entero entre 1 y 20')
+    }
+  }
+
+  if (params.variations !== undefined) {
+    if (!Array.isArray(params.variations) || params.variations.length === 0) fail('variations debe ser una lista no vacía')
+    const unknown = params.variations.filter(name => !ENHANCEMENT_VARIATIONS[name])
+    if (unknown.length > 0) fail(`variaciones desconocidas: ${unknown.join(', ')}`)
+  }
+
+  if (params.pageSegModes !== undefined) {
+    if (!Array.isArray(params.pageSegModes) || params.pageSegModes.length === 0) fail('psm debe ser una lista no vacía')
+    const unknown = params.pageSegModes.filter(mode => !SUPPORTED_PAGE_SEG_MODES.includes(mode))
+    if (unknown.length > 0) fail(`modos PSM no soportados: ${unknown.join(', ')} (usar ${SUPPORTED_PAGE_SEG_MODES.join(', ')})`)
+  }
+
+  if (params.ocrBackend !== undefined && !OCR_BACKEND_NAMES.includes(params.ocrBackend)) {
+    fail(`ocrBackend desconocido: ${params.ocrBackend} (usar ${OCR_BACKEND_NAMES.join(', ')})`)
+  }
+
+  if (params.plateRegion !== undefined) {
+    if (!Array.isArray(params.plateRegion) || params.plateRegion.length === 0) fail('region debe ser una lista no vacía')
+    try {
+      resolveRegionHint(params.plateRegion)
+    } catch (error) {
+      fail(error.message)
+    }
+  }
+
+  const checkCrop = (crop) => Array.isArray(crop) && crop.length === 4 &&
+    crop.every(v => typeof v === 'number' && v >= 0 && v <= 1) &&
+    crop[0] + crop[2] <= 1 && crop[1] + crop[3] <= 1
+
+  if (params.cropRegions !== undefined) {
+    if (!Array.isArray(params.cropRegions) || !params.cropRegions.every(checkCrop)) {
+      fail('cropRegions debe ser una lista de [x, y, ancho, alto] en proporciones de 0 a 1')
+    }
+  }
+
+  if (params.regions !== undefined) {
+    if (!Array.isArray(params.regions) || params.regions.length === 0) fail('regions debe ser una lista no vacía')
+    for (const region of params.regions) {
+      if (region.type === 'ratio' && !checkCrop(region.crop)) fail(`crop inválido en región ${region.name || 'ratio'}`)
+    }
+  }
+}
+
+// Cómo se aplica cada parámetro a las opciones de su etapa o etapas (en este orden)
+const STEP_PARAMS = {
+  vehicleThreshold: ['vehicle-detection', (options, value) => ({ ...options, threshold: value })],
+  maxVehicles: ['vehicle-detection', (options, value) => ({ ...options, maxVehicles: value })],
+  regions: ['region-proposal', (options, value) => ({ ...options, regions: value })],
+  cropRegions: ['region-proposal', (options, value) => ({
+    ...options,
+    regions: [
+      ...(options.regions || DEFAULT_REGIONS).filter(region => region.type !== 'ratio'),
+      ...value.map((crop, i) => ({ type: 'ratio', name: `crop_${i + 1}`, label: `recorte ${i + 1}`, crop }))
+    ]
+  })],
+  variations: ['enhancement', (options, value) => ({ ...options, variations: value })],
+  pageSegModes: ['ocr', (options, value) => ({ ...options, pageSegModes: value })],
+  ocrBackend: ['ocr', (options, value) => ({ ...options, backend: value })],
+  plateRegion: [['correction', 'validation'], (options, value) => ({ ...options, region: value })]
+}
+
+/**
+ * Aplica parámetros a una configuración de pipeline sin modificar la original
+ * @param {Object} pipeline - Configuración base
+ * @param {Object} params - Parámetros validados
+ * @returns {Object} - Nueva configuración
+ */
+export function applyPipelineParams(pipeline, params) {
+  let steps = pipeline.steps.map(step => ({ ...step, options: { ...(step.options || {}) } }))
+
+  for (const [param, [stepNames, apply]] of Object.entries(STEP_PARAMS)) {
+    if (params[param] === undefined) continue
+    const targets = [].concat(stepNames)
+    steps = steps.map(step => targets.includes(step.step) ? { ...step, options: apply(step.options, params[param]) } : step)
+  }
+
+  return { ...pipeline, steps }
+}
+
+function getField(fields, name) {
+  const value = fields?.[name]
+  const single = Array.isArray(value) ? value[0] : value
+  return typeof single === 'string' && single.trim() !== '' ? single.trim() : undefined
+}
+
+/**
+ * Extrae los parámetros por petición de los campos del formulario
+ * @param {Object} fields - Campos parseados por formidable
+ * @returns {Object} - Parámetros presentes en la petición
+ */
+export function parsePipelineFields(fields) {
+  const params = {}
+
+  const threshold = getField(fields, 'vehicleThreshold')
+  if (threshold !== undefined) params.vehicleThreshold = Number(threshold)
+
+  const maxVehicles = getField(fields, 'maxVehicles')
+  if (maxVehicles !== undefined) params.maxVehicles = Number(maxVehicles)
+
+  const variations = getField(fields, 'variations')
+  if (variations !== undefined) params.variations = variations.split(',').map(v => v.trim()).filter(Boolean)
+
+  const psm = getField(fields, 'psm')
+  if (psm !== undefined) params.pageSegModes = psm.split(',').map(v => v.trim()).filter(Boolean)
+
+  const ocrBackend = getField(fields, 'ocrBackend')
+  if (ocrBackend !== undefined) params.ocrBackend = ocrBackend
+
+  const region = getField(fields, 'region')
+  if (region !== undefined) params.plateRegion = region.split(',').map(v => v.trim().toUpperCase()).filter(Boolean)
+
+  const cropRegions = getField(fields, 'cropRegions')
+  if (cropRegions !== undefined) {
+    try {
+      params.cropRegions = JSON.parse(cropRegions)
+    } catch {
+      throw new Error('Parámetro inválido en petición: cropRegions debe ser JSON, p. ej. [[0, 0.5, 1, 0.5]]')
+    }
+  }
+
+  validatePipelineParams(params)
+  return params
+}
+
+/**
+ * Convierte un cuerpo JSON al formato de campos de formulario que usa resolvePipelineRequest
+ * @param {Object} body - { pipeline, vehicleThreshold, maxVehicles, variations, psm, ocrBackend, region, cropRegions }
+ * @returns {Object} - Campos como strings
+ */
+export function pipelineFieldsFromBody(body = {}) {
+  const fields = {}
+  for (const name of ['pipeline', 'vehicleThreshold', 'maxVehicles', 'variations', 'psm', 'ocrBackend', 'region', 'cropRegions']) {
+    const value = body[name]
+    if (value === undefined || value === null) continue
+
+    if (typeof value === 'string') fields[name] = value
+    else if (Array.isArray(value) && ['variations', 'psm', 'region'].includes(name)) fields[name] = value.join(',')
+    else fields[name] = JSON.stringify(value)
+  }
+  return fields
+}
+
+/**
+ * Resuelve la configuración a ejecutar para una petición de análisis.
+ * El campo `pipeline` puede nombrar un perfil o un pipeline registrado.
+ * @param {string} defaultPipeline - Pipeline del endpoint si no se indica otro
+ * @param {Object} fields - Campos parseados por formidable
+ * @returns {Promise<Object>} - Configuración con { profile, params }
+ */
+export async function resolvePipelineRequest(defaultPipeline, fields = {}) {
+  const requested = getField(fields, 'pipeline')
+  const profiles = await loadPipelineProfiles()
+
+  let pipeline
+  let profile = null
+  let profileParams = {}
+
+  if (requested && Object.hasOwn(profiles, requested)) {
+    profile = requested
+    pipeline = getPipeline(profiles[requested].pipeline)
+    profileParams = profiles[requested].params || {}
+  } else if (requested) {
+    if (!listPipelines().includes(requested)) {
+      const available = [...Object.keys(profiles), ...listPipelines()].join(', ')
+      throw new Error(`Perfil de pipeline desconocido: ${requested} (disponibles: ${available})`)
+    }
+    pipeline = getPipeline(requested)
+  } else {
+    pipeline = getPipeline(defaultPipeline)
+  }
+
+  const params = { ...profileParams, ...parsePipelineFields(fields) }
+  return { ...applyPipelineParams(pipeline, params), profile, params }
+}
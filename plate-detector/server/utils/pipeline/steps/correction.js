@@ -0,0 +1,29 @@
+import { correctPlateText } from '../../plate-correction.js'
+
+/**
+ * Etapa: corrige confusiones del OCR (O/0, I/1, B/8, S/5...) según las posiciones
+ * de letras y dígitos de cada formato de placa
+ * Agrega a cada lectura `correction` { text, plateText, substitutions, plateInfo } cuando
+ * una sustitución puntúa mejor que la lectura original
+ * @param {Object} context - Contexto del pipeline
+ * @param {Object} options - { region: pista de país, maxSubstitutions: máximo de caracteres a sustituir (3) }
+ */
+export async function correctionStep(context, options = {}) {
+  const { logger } = context
+
+  for (const reading of context.readings) {
+    const correction = correctPlateText(reading.text, {
+      region: options.region,
+      words: reading.words,
+      confidence: reading.confidence,
+      maxSubstitutions: options.maxSubstitutions ?? 3
+    })
+
+    if (!correction || correction.substitutions.length === 0) continue
+
+    reading.correction = correction
+
+    const changes = correction.substitutions.map(s => `${s.from}→${s.to}`).join(', ')
+    logger.info(`🔧 Corrección OCR en ${reading.label}: "${reading.text.trim()}" → ${correction.plateText} (${changes})`)
+  }
+}
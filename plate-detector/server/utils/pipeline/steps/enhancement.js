@@ -0,0 +1,141 @@
+import sharp from 'sharp'
+import { PROCESSING_STEPS } from '../../processing-logger.js'
+
+/**
+ * Variaciones de mejora disponibles. Cada una recibe el buffer de la región y
+ * sus metadatos y devuelve { buffer, description }.
+ */
+export const ENHANCEMENT_VARIATIONS = {
+  focused: {
+    label: 'enfocada',
+    stepName: PROCESSING_STEPS.FOCUSED,
+    async apply(buffer, metadata) {
+      const targetWidth = Math.max(metadata.width * 2, 600)
+      const targetHeight = Math.max(metadata.height * 2, 400)
+
+      if (metadata.width < 10 || metadata.height < 10) {
+        return { buffer: await sharp(buffer).jpeg().toBuffer(), description: 'Versión enfocada (tamaño original)' }
+      }
+
+      const focused = await sharp(buffer)
+        .greyscale()
+        .resize({ width: targetWidth, height: targetHeight, fit: 'inside', withoutEnlargement: false })
+        .normalize()
+        .modulate({ brightness: 1.1, contrast: 1.8 })
+        .sharpen()
+        .jpeg()
+        .toBuffer()
+      return { buffer: focused, description: `Versión enfocada: ${targetWidth}x${targetHeight}` }
+    }
+  },
+
+  high_contrast: {
+    label: 'alto contraste',
+    stepName: PROCESSING_STEPS.HIGH_CONTRAST,
+    async apply(buffer) {
+      const highContrast = await sharp(buffer)
+        .greyscale()
+        .resize({ width: 800, height: 600, fit: 'inside', withoutEnlargement: false })
+        .normalize()
+        .linear(2.0, -(128 * 1.0))
+        .sharpen({ sigma: 1, flat: 1, jagged: 2 })
+        .jpeg()
+        .toBuffer()
+      return { buffer: highContrast, description: 'Versión de alto contraste' }
+    }
+  },
+
+  edge_enhanced: {
+    label: 'realce de bordes',
+    stepName: PROCESSING_STEPS.EDGE_ENHANCED,
+    async apply(buffer) {
+      const edges = await sharp(buffer)
+        .greyscale()
+        .resize({ width: 800, height: 600, fit: 'inside', withoutEnlargement: false })
+        .blur(0.3)
+        .sharpen({ sigma: 2, flat: 1, jagged: 3 })
+        .modulate({ brightness: 1.3, contrast: 1.4 })
+        .normalize()
+        .jpeg()
+        .toBuffer()
+      return { buffer: edges, description: 'Versión con realce de bordes' }
+    }
+  },
+
+  upscaled: {
+    label: 'escalada',
+    stepName: PROCESSING_STEPS.UPSCALED,
+    async apply(buffer) {
+      const upscaled = await sharp(buffer)
+        .greyscale()
+        .resize({ width: 1200, height: 900, fit: 'inside', withoutEnlargement: false })
+        .sharpen({ sigma: 1.5, flat: 1, jagged: 2 })
+        .modulate({ brightness: 1.2, contrast: 1.5 })
+        .normalize()
+        .jpeg()
+        .toBuffer()
+      return { buffer: upscaled, description: 'Versión escalada para mejorar detalles' }
+    }
+  },
+
+  // Normalización final de una placa ya rectificada
+  normalized: {
+    label: 'normalizada',
+    stepName: PROCESSING_STEPS.FINAL_NORMALIZED,
+    async apply(buffer) {
+      const normalized = await sharp(buffer)
+        .resize(400, 120, {
+          fit: 'fill',
+          kernel: sharp.kernel.lanczos3 // Mejor calidad de reescalado
+        })
+        .greyscale()
+        .normalize()
+        .modulate({ brightness: 1.1, contrast: 1.3 })
+        .sharpen({ sigma: 1, flat: 1, jagged: 2 })
+        .gamma(1.2)
+        .jpeg({ quality: 95 })
+        .toBuffer()
+      return { buffer: normalized, description: 'Imagen final normalizada y optimizada para análisis' }
+    }
+  }
+}
+
+/**
+ * Variaciones por defecto para regiones sin rectificar
+ */
+export const DEFAULT_VARIATIONS = ['focused', 'high_contrast', 'edge_enhanced', 'upscaled']
+
+/**
+ * Etapa: genera variaciones de mejora de cada región propuesta
+ * Agrega a context.variations { name, label, region, buffer }
+ * @param {Object} context - Contexto del pipeline
+ * @param {Object} options - { variations: Array<string> }
+ */
+export async function enhancementStep(context, options = {}) {
+  const { logger } = context
+  const variationNames = options.variations || DEFAULT_VARIATIONS
+
+  for (const region of context.regions) {
+    logger.info(`🎨 Generando variaciones de mejora (${region.label})...`)
+    const metadata = await sharp(region.buffer).metadata()
+
+    for (const name of variationNames) {
+      const variation = ENHANCEMENT_VARIATIONS[name]
+      if (!variation) {
+        logger.warning(`⚠️ Variación de mejora desconocida: ${name}`)
+        continue
+      }
+
+      try {
+        const { buffer, description } = await variation.apply(region.buffer, metadata)
+        await context.saveImage(buffer, variation.stepName, description)
+        context.variations.push({ name, label: variation.label, region: region.name, buffer })
+        logger.success(`✅ Versión ${variation.label} creada`)
+      } catch (error) {
+        logger.error(`❌ Error creando versión ${variation.label}: ${error.message}`)
+      }
+    }
+  }
+
+  logger.success(`🎯 Preprocesamiento completado: ${context.variations.length} variaciones generadas`)
+}
@@ -0,0 +1,150 @@
+import { recognizeWithPool } from '../../tesseract-pool.js'
+import { loadCharacterClassifier, classifyCharacters } from '../../character-classifier.js'
+import { segmentCharacters } from '../../character-segmentation.js'
+
+const PAGE_SEG_MODE_NAMES = {
+  '6': 'bloque',
+  '7': 'línea',
+  '8': 'palabra',
+  '13': 'línea cruda'
+}
+
+/**
+ * Aplana los bloques de Tesseract en palabras con la confianza de cada símbolo
+ * @param {Array|null} blocks - data.blocks de Tesseract
+ * @returns {Array<Object>} - [{ text, confidence, symbols: [{ text, confidence }] }], confianzas de 0 a 1
+ */
+export function extractWords(blocks) {
+  return (blocks || [])
+    .flatMap(block => block.paragraphs)
+    .flatMap(paragraph => paragraph.lines)
+    .flatMap(line => line.words)
+    .map(word => ({
+      text: word.text,
+      confidence: word.confidence / 100,
+      symbols: word.symbols.map(symbol => ({ text: symbol.text, confidence: symbol.confidence / 100 }))
+    }))
+}
+
+/**
+ * Backends de OCR. Cada uno abre sus recursos una vez por etapa y devuelve
+ * { passes, recognize(variation, pass, label), close() }; cada pasada produce
+ * una lectura por variación, o null si no hay nada que leer.
+ */
+const OCR_BACKENDS = {
+  // Tesseract: una pasada por modo de segmentación de página con los workers compartidos del pool
+  async tesseract(context, options) {
+    const { logger, signal } = context
+    const pageSegModes = options.pageSegModes || ['7']
+    const language = options.language || 'eng'
+
+    return {
+      passes: pageSegModes.map(mode => ({ id: mode, name: PAGE_SEG_MODE_NAMES[mode] || mode })),
+      async recognize(variation, pass, label) {
+        const { text, confidence, blocks } = await recognizeWithPool(variation.buffer, {
+          pageSegMode: pass.id,
+          language,
+          signal,
+          onProgress: (m) => {
+            if (m.status === 'recognizing text') {
+              const progress = Math.round(m.progress * 100)
+              if (progress % 20 === 0) { // Log cada 20%
+                logger.info(`📖 OCR en progreso (${label}): ${progress}%`)
+              }
+            }
+          }
+        })
+        return { text, confidence: confidence / 100, words: extractWords(blocks), pageSegMode: pass.id }
+      },
+      close: async () => {}
+    }
+  },
+
+  // Clasificador propio: segmentación de caracteres y una predicción por carácter
+  async classifier(context) {
+    const model = await loadCharacterClassifier(context.logger)
+
+    return {
+      passes: [{ id: 'classifier', name: 'clasificador' }],
+      async recognize(variation) {
+        // Sin etapa `segmentation` previa se segmenta aquí
+        if (!variation.segmentation) variation.segmentation = await segmentCharacters(variation.buffer)
+        const { characters } = variation.segmentation
+        if (characters.length === 0) return null
+
+        const predictions = classifyCharacters(model, characters.map(character => character.sample))
+        const text = predictions.map(prediction => prediction.char).join('')
+        const confidence = predictions.reduce((sum, prediction) => sum + prediction.confidence, 0) / predictions.length
+        const symbols = predictions.map(prediction => ({ text: prediction.char, confidence: prediction.confidence }))
+
+        return { text, confidence, words: [{ text, confidence, symbols }], pageSegMode: null }
+      },
+      close: async () => {}
+    }
+  }
+}
+
+export const OCR_BACKEND_NAMES = Object.keys(OCR_BACKENDS)
+
+/**
+ * Etapa: reconocimiento óptico de caracteres sobre cada variación
+ * Agrega a context.readings { text, confidence, words, variation, label, region, pageSegMode, backend }
+ * @param {Object} context - Contexto del pipeline
+ * @param {Object} options - { backend: 'tesseract' | 'classifier', pageSegModes: Array<string>, language }
+ */
+export async function ocrStep(context, options = {}) {
+  const { logger, variations } = context
+  const backendName = options.backend || 'tesseract'
+  const openBackend = OCR_BACKENDS[backendName]
+
+  if (!openBackend) {
+    throw new Error(`Backend de OCR desconocido: ${backendName}`)
+  }
+
+  if (variations.length === 0) {
+    logger.warning('⚠️ No hay imágenes para OCR')
+    return
+  }
+
+  logger.info(`🔤 Iniciando reconocimiento óptico de caracteres (OCR, ${backendName})...`)
+  const backend = await openBackend(context, options)
+  const tasks = variations.flatMap(variation => backend.passes.map(pass => ({
+    variation,
+    pass,
+    label: backendName === 'tesseract' && backend.passes.length === 1
+      ? variation.label
+      : `${variation.label} (${pass.name})`
+  })))
+  let completed = 0
+
+  // Las lecturas se lanzan juntas y el backend limita cuántas corren a la vez (workers del pool);
+  // se agregan en el orden de las variaciones para que el resultado no dependa de cuál termina antes
+  const recognizeTask = async ({ variation, pass, label }, index) => {
+    context.signal?.throwIfAborted()
+
+    try {
+      logger.info(`🔍 Analizando variación ${index + 1}/${tasks.length}: ${label}...`)
+      const reading = await backend.recognize(variation, pass, label)
+      logger.progress('OCR', ++completed, tasks.length, 'variaciones')
+
+      if (!reading) {
+        logger.warning(`⚠️ Sin caracteres para leer en ${label}`)
+        return null
+      }
+
+      logger.info(`📝 Texto detectado en ${label}: "${reading.text.trim()}" (confianza: ${(reading.confidence * 100).toFixed(1)}%)`)
+      return { ...reading, variation: variation.name, label, region: variation.region, backend: backendName }
+    } catch (error) {
+      if (context.signal?.aborted) throw error
+      logger.error(`❌ OCR falló en variación ${label}: ${error.message}`)
+      return null
+    }
+  }
+
+  try {
+    const readings = await Promise.all(tasks.map(recognizeTask))
+    context.readings.push(...readings.filter(Boolean))
+  } finally {
+    await backend.close()
+  }
+}
@@ -0,0 +1,281 @@
+import sharp from 'sharp'
+import { PROCESSING_STEPS } from '../../processing-logger.js'
+import { detectRectangularContours } from '../../contour-detection.js'
+import { warpPerspective, CANONICAL_PLATE_SIZE } from '../../perspective.js'
+
+// Tamaño mínimo de un recorte para que valga la pena procesarlo
+const MIN_CROP_WIDTH = 100
+const MIN_CROP_HEIGHT = 75
+
+async function cropRegion(context, cropParams, name, label, extra = {}) {
+  const { logger } = context
+
+  if (cropParams.width < MIN_CROP_WIDTH || cropParams.height < MIN_CROP_HEIGHT) {
+    logger.warning(`⚠️ Región muy pequeña para recortar: ${cropParams.width}x${cropParams.height}`)
+    return []
+  }
+
+  const buffer = await sharp(context.imageBuffer)
+    .extract(cropParams)
+    .jpeg()
+    .toBuffer()
+
+  await context.saveImage(buffer, PROCESSING_STEPS.CROPPED, `Región recortada: ${cropParams.width}x${cropParams.height}`)
+  logger.success(`✅ Imagen recortada: ${cropParams.width}x${cropParams.height} píxeles`)
+
+  return [{ name, label, buffer, bbox: [cropParams.left, cropParams.top, cropParams.width, cropParams.height], ...extra }]
+}
+
+function clampCrop(metadata, left, top, width, height) {
+  const clampedLeft = Math.min(Math.max(0, Math.round(left)), metadata.width - 1)
+  const clampedTop = Math.min(Math.max(0, Math.round(top)), metadata.height - 1)
+  return {
+    left: clampedLeft,
+    top: clampedTop,
+    width: Math.min(metadata.width - clampedLeft, Math.round(width)),
+    height: Math.min(metadata.height - clampedTop, Math.round(height))
+  }
+}
+
+async function createContoursImage(baseBuffer, contours, logger) {
+  try {
+    const image = sharp(baseBuffer)
+    const { width, height } = await image.metadata()
+
+    let svgElements = ''
+    contours.forEach((contour, index) => {
+      const points = contour.corners.map(([x, y]) => `${x},${y}`).join(' ')
+      const color = index === 0 ? 'lime' : 'yellow' // Mejor candidato en verde
+
+      svgElements += `
+        <polygon points="${points}" fill="none" stroke="${color}" stroke-width="2" opacity="0.8"/>
+        <text x="${contour.corners[0][0]}" y="${contour.corners[0][1] - 5}"
+              fill="${color}" font-size="12" font-weight="bold">
+          Placa ${index + 1} (${(contour.confidence * 100).toFixed(0)}%)
+        </text>
+      `
+    })
+
+    const svgOverlay = `
+      <svg width="${width}" height="${height}">
+        ${svgElements}
+      </svg>
+    `
+
+    return await image
+      .composite([{ input: Buffer.from(svgOverlay), top: 0, left: 0 }])
+      .jpeg()
+      .toBuffer()
+  } catch (error) {
+    logger.warning('⚠️ Error creando imagen de contornos, usando base')
+    return baseBuffer
+  }
+}
+
+function calculateBoundingRect(corners) {
+  const xs = corners.map(([x]) => x)
+  const ys = corners.map(([, y]) => y)
+
+  const minX = Math.min(...xs)
+  const minY = Math.min(...ys)
+
+  return {
+    x: Math.round(minX),
+    y: Math.round(minY),
+    width: Math.round(Math.max(...xs) - minX),
+    height: Math.round(Math.max(...ys) - minY)
+  }
+}
+
+/**
+ * Proveedores de regiones por tipo. Cada uno devuelve un arreglo de regiones
+ * { name, label, buffer, bbox } a partir del contexto del pipeline.
+ */
+const REGION_PROPOSERS = {
+  // Imagen completa
+  async full(context) {
+    return [{ name: 'full', label: 'imagen completa', buffer: context.imageBuffer, bbox: null }]
+  },
+
+  // Caja de cada vehículo detectado (píxeles absolutos)
+  async vehicle(context) {
+    const regions = []
+    for (const vehicle of context.vehicles) {
+      const { name, label } = vehicleRegionName(context, vehicle, 'vehicle', 'vehículo')
+      context.logger.info(`✂️ Recortando región del ${label}...`)
+      const [x, y, width, height] = vehicle.bbox
+      regions.push(...await cropRegion(context, clampCrop(context.metadata, x, y, width, height), name, label,
+        { vehicleIndex: vehicle.index }))
+    }
+    return regions
+  },
+
+  // Recorte relativo [x, y, ancho, alto] en proporciones de la imagen
+  async ratio(context, region) {
+    const { metadata } = context
+    const [xRatio, yRatio, widthRatio, heightRatio] = region.crop
+    context.logger.info(`✂️ Recortando región ${region.name || 'relativa'} [${region.crop.join(', ')}]...`)
+    const cropParams = clampCrop(
+      metadata,
+      metadata.width * xRatio,
+      metadata.height * yRatio,
+      metadata.width * widthRatio,
+      metadata.height * heightRatio
+    )
+    return cropRegion(context, cropParams, region.name || 'ratio', region.label || 'región relativa')
+  },
+
+  // Búsqueda de contornos rectangulares y rectificación por homografía,
+  // en la parte inferior de cada vehículo o, sin vehículos, en toda la imagen
+  async contours(context) {
+    const { logger, metadata } = context
+
+    if (context.vehicles.length === 0) {
+      logger.info('🔍 Buscando en toda la imagen')
+      return findContourPlate(context, null, { name: 'contour', label: 'contorno rectificado' })
+    }
+
+    const regions = []
+    for (const vehicle of context.vehicles) {
+      // Enfocar en la parte inferior del vehículo donde están las placas
+      const [x, y, width, height] = vehicle.bbox
+      const searchArea = clampCrop(metadata, x, y + height * 0.6, width, height * 0.4)
+      const { name, label } = vehicleRegionName(context, vehicle, 'contour', 'contorno rectificado')
+      logger.info(`📍 Enfocando búsqueda en área del ${context.vehicles.length > 1 ? `vehículo ${vehicle.index}` : 'vehículo'}: ${searchArea.width}x${searchArea.height}`)
+      regions.push(...await findContourPlate(context, searchArea, { name, label, vehicleIndex: vehicle.index }))
+    }
+    return regions
+  }
+}
+
+// Nombre de la región de un vehículo; con varios vehículos se numeran
+function vehicleRegionName(context, vehicle, name, label) {
+  return context.vehicles.length > 1
+    ? { name: `${name}_${vehicle.index}`, label: `${label} ${vehicle.index}` }
+    : { name, label }
+}
+
+// Busca el mejor contorno de placa en un área (o en toda la imagen) y lo rectifica
+async function findContourPlate(context, searchArea, regionInfo) {
+  const { logger, metadata } = context
+  logger.info('🔍 Buscando contornos de placas...')
+
+  logger.info('🎨 Convirtiendo a escala de grises...')
+  let workingImage = sharp(context.imageBuffer)
+  if (searchArea) workingImage = workingImage.extract(searchArea)
+
+  const grayscaleBuffer = await workingImage.greyscale().jpeg().toBuffer()
+  await context.saveImage(grayscaleBuffer, PROCESSING_STEPS.GRAYSCALE, 'Imagen convertida a escala de grises')
+
+  logger.info('🖼️ Aplicando detección de bordes...')
+  const edgeBuffer = await sharp(grayscaleBuffer)
+    .convolve({
+      width: 3,
+      height: 3,
+      kernel: [-1, -1, -1, -1, 8, -1, -1, -1, -1] // Kernel de detección de bordes
+    })
+    .normalize()
+    .jpeg()
+    .toBuffer()
+  await context.saveImage(edgeBuffer, PROCESSING_STEPS.EDGE_DETECTION, 'Bordes detectados usando convolución')
+
+  logger.info('📐 Binarizando bordes y trazando componentes conexos...')
+  const { candidates, stats } = await detectRectangularContours(edgeBuffer)
+  logger.info(`📏 Umbral de binarización (Otsu): ${stats.threshold}`)
+  logger.info(`🧩 ${stats.componentsFound} contornos encontrados, ${stats.candidatesRejected} descartados por forma`)
+  candidates.forEach(candidate => {
+    logger.info(`🎯 Candidato ${candidate.id}: aspecto ${candidate.aspectRatio.toFixed(2)}:1, relleno ${(candidate.fillRatio * 100).toFixed(0)}%, confianza ${(candidate.confidence * 100).toFixed(1)}%`)
+  })
+
+  context.plateCandidatesFound += candidates.length
+  if (candidates.length === 0) {
+    logger.warning('⚠️ No se encontraron contornos rectangulares válidos')
+    return []
+  }
+
+  logger.success(`✅ Encontrados ${candidates.length} candidatos de placa`)
+  const contoursBuffer = await createContoursImage(grayscaleBuffer, candidates, logger)
+  await context.saveImage(contoursBuffer, PROCESSING_STEPS.CONTOURS_FOUND,
+    `${candidates.length} contornos rectangulares encontrados`)
+
+  // Extraer el mejor candidato en coordenadas de la imagen completa
+  const bestPlate = candidates[0]
+  logger.info('✂️ Extrayendo región de la placa...')
+  logger.info(`🎯 Procesando candidato con confianza ${(bestPlate.confidence * 100).toFixed(1)}%`)
+
+  const corners = searchArea
+    ? bestPlate.corners.map(([x, y]) => [x + searchArea.left, y + searchArea.top])
+    : bestPlate.corners
+  const boundingRect = calculateBoundingRect(corners)
+  const extractParams = clampCrop(metadata, boundingRect.x, boundingRect.y, boundingRect.width, boundingRect.height)
+  logger.info(`📏 Región detectada: ${boundingRect.width}x${boundingRect.height} píxeles`)
+
+  const extractedBuffer = await sharp(context.imageBuffer).extract(extractParams).jpeg().toBuffer()
+  await context.saveImage(extractedBuffer, PROCESSING_STEPS.PLATE_EXTRACTED,
+    `Región de placa extraída: ${boundingRect.width}x${boundingRect.height}`)
+
+  logger.info('📐 Corrigiendo perspectiva de trapecio a rectángulo...')
+  let correctedBuffer = extractedBuffer
+  try {
+    const localCorners = corners.map(([x, y]) => [x - extractParams.left, y - extractParams.top])
+    const { buffer, homography } = await warpPerspective(extractedBuffer, localCorners, CANONICAL_PLATE_SIZE)
+    logger.info(`📐 Matriz de homografía: [${homography.map(n => n.toFixed(3)).join(', ')}]`)
+    logger.info(`✅ Placa rectificada a ${CANONICAL_PLATE_SIZE.width}x${CANONICAL_PLATE_SIZE.height} con interpolación bilineal`)
+    correctedBuffer = await sharp(buffer).sharpen().jpeg().toBuffer()
+  } catch (error) {
+    logger.warning(`⚠️ Error en corrección perspectiva: ${error.message}`)
+  }
+  await context.saveImage(correctedBuffer, PROCESSING_STEPS.PERSPECTIVE_CORRECTED,
+    'Perspectiva corregida: trapecio transformado a rectángulo')
+
+  // La primera placa encontrada (vehículo de mayor confianza) es la de la respuesta
+  if (!context.plateRegion) {
+    context.plateRegion = {
+      region: { ...bestPlate, corners },
+      dimensions: boundingRect
+    }
+  }
+
+  return [{
+    ...regionInfo,
+    buffer: correctedBuffer,
+    bbox: [boundingRect.x, boundingRect.y, boundingRect.width, boundingRect.height],
+    corners
+  }]
+}
+
+/**
+ * Regiones por defecto: vehículo detectado, imagen completa y mitad inferior
+ */
+export const DEFAULT_REGIONS = [
+  { type: 'vehicle' },
+  { type: 'full' },
+  { type: 'ratio', name: 'bottom_half', label: 'mitad inferior', crop: [0, 0.5, 1.0, 0.5] }
+]
+
+/**
+ * Etapa: propuesta de regiones donde buscar la placa
+ * Agrega a context.regions las regiones producidas por cada proveedor configurado
+ * @param {Object} context - Contexto del pipeline
+ * @param {Object} options - { regions: [{ type, name, label, crop }] }
+ */
+export async function regionProposalStep(context, options = {}) {
+  const { logger } = context
+  const regions = options.regions || DEFAULT_REGIONS
+
+  for (const region of regions) {
+    const propose = REGION_PROPOSERS[region.type]
+    if (!propose) {
+      logger.warning(`⚠️ Tipo de región desconocido: ${region.type}`)
+      continue
+    }
+
+    try {
+      context.regions.push(...await propose(context, region))
+    } catch (error) {
+      logger.error(`❌ Error proponiendo región ${region.type}: ${error.message}`)
+    }
+  }
+
+  logger.info(`🗺️ ${context.regions.length} regiones a analizar: ${context.regions.map(r => r.label).join(', ') || 'ninguna'}`)
+}
@@ -0,0 +1,186 @@
+import { fuseCandidates } from '../../ocr-consensus.js'
+
+/**
+ * Resultado vacío cuando no hay ninguna placa válida
+ */
+export const NO_PLATE_RESULT = {
+  hasPlate: false,
+  plateText: null,
+  confidence: 0,
+  processingMethod: null,
+  region: null,
+  plateInfo: null,
+  rawText: null,
+  substitutions: [],
+  consensus: null,
+  vehicles: [],
+  allCandidates: []
+}
+
+// Ordena por confianza; si dos lecturas están a menos de 0.1 gana la variación preferida
+function compareCandidates(preferredVariation) {
+  return (a, b) => {
+    if (preferredVariation && Math.abs(a.confidence - b.confidence) < 0.1 && a.variation !== b.variation) {
+      if (a.variation === preferredVariation) return -1
+      if (b.variation === preferredVariation) return 1
+    }
+    return b.confidence - a.confidence
+  }
+}
+
+/**
+ * Estrategias de selección del mejor candidato
+ */
+const SCORING_STRATEGIES = {
+  // El candidato de mayor confianza entre todas las regiones
+  confidence(candidates, options) {
+    return [...candidates].sort(compareCandidates(options.preferredVariation))[0]
+  },
+
+  // Mejor candidato por región; gana la primera región (en orden de propuesta)
+  // que supere la confianza mínima, y si ninguna lo hace, la primera con placa
+  'region-priority'(candidates, options, context) {
+    const minConfidence = options.minConfidence ?? 0.1
+    const bestByRegion = context.regions
+      .map(region => candidates
+        .filter(candidate => candidate.region === region.name)
+        .sort(compareCandidates(options.preferredVariation))[0])
+      .filter(Boolean)
+
+    return bestByRegion.find(candidate => candidate.confidence > minConfidence) || bestByRegion[0]
+  },
+
+  // Votación por carácter entre todas las variaciones y regiones con la misma plantilla;
+  // las lecturas bajo la confianza mínima no votan salvo que no haya otras
+  consensus(candidates, options) {
+    const minConfidence = options.minConfidence ?? 0
+    const voters = candidates.filter(candidate => candidate.confidence >= minConfidence)
+    const consensus = fuseCandidates(voters.length > 0 ? voters : candidates)
+
+    return {
+      plateText: consensus.plateText,
+      confidence: consensus.confidence,
+      source: `consenso (${consensus.readings} lecturas)`,
+      region: consensus.regions.join('+'),
+      plateInfo: consensus.plateInfo,
+      rawText: consensus.rawText,
+      substitutions: consensus.substitutions,
+      consensus
+    }
+  }
+}
+
+// Resumen de la placa elegida para un vehículo
+function plateSummary(best, context) {
+  // La lectura por consenso puede venir de varias regiones; las esquinas son las del contorno
+  const regionNames = best.consensus?.regions || [best.region]
+  const region = context.regions.find(r => regionNames.includes(r.name) && r.corners)
+  return {
+    plateText: best.plateText,
+    confidence: best.confidence,
+    processingMethod: best.source,
+    region: best.region,
+    plateInfo: best.plateInfo || null,
+    agreementScore: best.consensus?.agreementScore ?? null,
+    corners: region?.corners || null
+  }
+}
+
+/**
+ * Placa de cada vehículo detectado: la misma estrategia sobre las lecturas de sus regiones.
+ * Con un solo vehículo le corresponden todas las lecturas; con varios, sólo las de las
+ * regiones propuestas para él (las de la imagen completa o la mitad inferior no se asignan)
+ * @returns {Array<Object>} - [{ index, vehicleType, confidence, bbox, attributes, plates: [{ plateText, confidence, ... }] }]
+ */
+function scoreVehicles(context, strategy, options) {
+  return context.vehicles.map(vehicle => {
+    const regions = context.vehicles.length > 1
+      ? context.regions.filter(region => region.vehicleIndex === vehicle.index)
+      : context.regions
+    const regionNames = regions.map(region => region.name)
+    const candidates = context.candidates.filter(candidate => regionNames.includes(candidate.region))
+    const best = candidates.length > 0 ? strategy(candidates, options, { ...context, regions }) : null
+
+    return {
+      index: vehicle.index,
+      vehicleType: vehicle.vehicleType,
+      confidence: vehicle.confidence,
+      bbox: vehicle.bbox,
+      attributes: vehicle.attributes || null,
+      plates: best ? [plateSummary(best, context)] : []
+    }
+  })
+}
+
+/**
+ * Etapa: elige la lectura final entre los candidatos validados
+ * Deja en context.result { hasPlate, plateText, confidence, processingMethod, region, plateInfo, rawText, substitutions, consensus, vehicles, allCandidates }
+ * Con varios vehículos, cada uno recibe su placa y la lectura final es la placa más segura entre ellos
+ * @param {Object} context - Contexto del pipeline
+ * @param {Object} options - { strategy, preferredVariation, minConfidence }
+ */
+export async function scoringStep(context, options = {}) {
+  const { logger, candidates } = context
+  const strategyName = options.strategy || 'confidence'
+  const strategy = SCORING_STRATEGIES[strategyName]
+
+  if (!strategy) {
+    throw new Error(`Estrategia de puntuación desconocida: ${strategyName}`)
+  }
+
+  const vehicles = scoreVehicles(context, strategy, options)
+
+  if (candidates.length === 0) {
+    logger.warning('😞 No se pudo detectar ninguna placa válida')
+    context.result = { ...NO_PLATE_RESULT, vehicles }
+    return
+  }
+
+  if (vehicles.length > 1) {
+    for (const vehicle of vehicles) {
+      const [plate] = vehicle.plates
+      logger.info(`🚘 Vehículo ${vehicle.index} (${vehicle.vehicleType}): ${plate ? `${plate.plateText} (${(plate.confidence * 100).toFixed(1)}%)` : 'sin placa'}`)
+    }
+  }
+
+  // Con varios vehículos la lectura final sale sólo de las regiones del vehículo con la placa
+  // más segura: la votación fusionaría carácter a carácter placas de vehículos distintos
+  const [bestVehicle] = vehicles
+    .filter(vehicle => vehicles.length > 1 && vehicle.plates.length > 0)
+    .sort((a, b) => b.plates[0].confidence - a.plates[0].confidence)
+  const vehicleCandidates = bestVehicle
+    ? candidates.filter(candidate => context.regions.some(region =>
+      region.name === candidate.region && region.vehicleIndex === bestVehicle.index))
+    : candidates
+  const best = strategy(vehicleCandidates, options, context)
+  if (best.consensus) {
+    const { readings, groups, agreementScore } = best.consensus
+    logger.info(`🗳️ Consenso de ${readings} lecturas (${groups} plantillas): acuerdo medio ${(agreementScore * 100).toFixed(1)}%`)
+  }
+  logger.success(`🎯 Mejor resultado: ${best.plateText} (método: ${best.source}, confianza: ${(best.confidence * 100).toFixed(1)}%)`)
+
+  context.result = {
+    hasPlate: true,
+    plateText: best.plateText,
+    confidence: best.confidence,
+    processingMethod: best.source,
+    region: best.region,
+    plateInfo: best.plateInfo || null,
+    rawText: best.rawText,
+    substitutions: best.substitutions || [],
+    consensus: best.consensus || null,
+    vehicles,
+    allCandidates: [...candidates]
+      .sort((a, b) => b.confidence - a.confidence)
+      .map(c => ({
+        text: c.plateText,
+        confidence: c.confidence,
+        source: c.source,
+        region: c.region,
+        country: c.plateInfo?.country || null,
+        formatType: c.plateInfo?.formatType || null,
+        state: c.plateInfo?.state?.code || null,
+        substitutions: c.substitutions?.length || 0
+      }))
+  }
+}
@@ -0,0 +1,35 @@
+import { segmentCharacters, drawSegmentation } from '../../character-segmentation.js'
+import { PROCESSING_STEPS } from '../../processing-logger.js'
+
+/**
+ * Etapa: segmenta los caracteres de las placas normalizadas
+ * Agrega a cada variación procesada `segmentation` { characters: [{ bbox, sample }], method, polarity }
+ * @param {Object} context - Contexto del pipeline
+ * @param {Object} options - { variations: variaciones a segmentar (['normalized']), method: 'auto' | 'components' | 'projection' }
+ */
+export async function segmentationStep(context, options = {}) {
+  const { logger } = context
+  const variationNames = options.variations || ['normalized']
+  const targets = context.variations.filter(variation => variationNames.includes(variation.name))
+
+  if (targets.length === 0) {
+    logger.warning(`⚠️ No hay variaciones para segmentar (${variationNames.join(', ')})`)
+    return
+  }
+
+  for (const variation of targets) {
+    try {
+      const segmentation = await segmentCharacters(variation.buffer, { method: options.method })
+      variation.segmentation = segmentation
+      logger.info(`✂️ ${segmentation.characters.length} caracteres segmentados en ${variation.label} (${segmentation.method === 'components' ? 'componentes conexos' : 'proyección vertical'})`)
+
+      if (segmentation.characters.length > 0) {
+        const marked = await drawSegmentation(variation.buffer, segmentation)
+        await context.saveImage(marked, PROCESSING_STEPS.CHARACTERS_SEGMENTED,
+          `Segmentación de caracteres: ${segmentation.characters.length} encontrados`)
+      }
+    } catch (error) {
+      logger.error(`❌ Error segmentando caracteres en ${variation.label}: ${error.message}`)
+    }
+  }
+}
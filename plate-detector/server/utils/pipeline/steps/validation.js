@@ -0,0 +1,38 @@
+import { validatePlate } from '../../plate-formats/index.js'
+import { symbolConfidences } from '../../plate-correction.js'
+
+/**
+ * Etapa: valida cada lectura OCR contra los formatos de placa
+ * Usa la corrección de la etapa `correction` si existe.
+ * Agrega a context.candidates { plateText, confidence, rawText, source, variation, region, plateInfo, substitutions, charConfidences }
+ * @param {Object} context - Contexto del pipeline
+ * @param {Object} options - { region: pista de país o grupo de países; sin ella se prueban todos }
+ */
+export async function validationStep(context, options = {}) {
+  const { logger } = context
+
+  for (const reading of context.readings) {
+    const plateInfo = reading.correction?.plateInfo ?? validatePlate(reading.text, { region: options.region })
+
+    if (!plateInfo.valid) {
+      logger.warning(`❌ Texto de ${reading.label} no corresponde a ningún formato de placa conocido`)
+      continue
+    }
+
+    const stateName = plateInfo.state ? `, ${plateInfo.state.name}` : ''
+    logger.success(`✅ Placa válida encontrada: ${plateInfo.plateText} (${plateInfo.countryName}, ${plateInfo.formatLabel}${stateName})`)
+    context.candidates.push({
+      plateText: plateInfo.plateText,
+      confidence: reading.confidence,
+      rawText: reading.text,
+      source: reading.label,
+      variation: reading.variation,
+      region: reading.region,
+      plateInfo,
+      substitutions: reading.correction?.substitutions || [],
+      charConfidences: reading.correction
+        ? reading.correction.charConfidences
+        : symbolConfidences(reading.words, plateInfo.normalized)
+    })
+  }
+}
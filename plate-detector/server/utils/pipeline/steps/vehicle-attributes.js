@@ -0,0 +1,29 @@
+import { extractVehicleAttributes } from '../../vehicle-attributes.js'
+
+/**
+ * Etapa: color y tipo de carrocería de cada vehículo detectado
+ * Agrega a cada elemento de context.vehicles `attributes` { color, bodyType }
+ * @param {Object} context - Contexto del pipeline
+ */
+export async function vehicleAttributesStep(context) {
+  const { logger } = context
+
+  if (context.vehicles.length === 0) {
+    logger.info('ℹ️ Sin vehículos: se omiten color y carrocería')
+    return
+  }
+
+  for (const vehicle of context.vehicles) {
+    const name = context.vehicles.length > 1 ? `Vehículo ${vehicle.index}` : 'Vehículo'
+
+    try {
+      vehicle.attributes = await extractVehicleAttributes(context.imageBuffer, vehicle)
+      const { color, bodyType } = vehicle.attributes
+      const colorText = color ? `${color.label} (${(color.confidence * 100).toFixed(0)}% de la carrocería)` : 'no determinado'
+      logger.info(`🎨 ${name}: color ${colorText}, carrocería ${bodyType.label} (${bodyType.reason})`)
+    } catch (error) {
+      logger.warning(`⚠️ No se pudieron estimar los atributos del ${name.toLowerCase()}: ${error.message}`)
+      vehicle.attributes = null
+    }
+  }
+}
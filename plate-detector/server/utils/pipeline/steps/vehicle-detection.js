@@ -0,0 +1,187 @@
+import * as tf from '@tensorflow/tfjs-node'
+import * as cocoSsd from '@tensorflow-models/coco-ssd'
+import sharp from 'sharp'
+import { PROCESSING_STEPS } from '../../processing-logger.js'
+
+let carDetectionModel = null
+let carDetectionModelLoading = null
+
+// Variante cargada y tiempo de carga, para /api/ready
+const carDetectionModelInfo = {
+  loaded: false,
+  variant: null,
+  fallback: false,
+  loadMs: null,
+  error: null
+}
+
+export const VEHICLE_CLASSES = ['car', 'truck', 'bus', 'motorcycle', 'bicycle']
+
+/**
+ * Carga (una sola vez) el modelo COCO-SSD de detección de vehículos.
+ * Las llamadas simultáneas esperan la misma carga
+ * @param {ProcessingLogger} logger - Logger de la sesión
+ * @returns {Promise<Object>} - Modelo cargado
+ */
+export async function loadCarDetectionModel(logger) {
+  if (carDetectionModel) return carDetectionModel
+
+  if (!carDetectionModelLoading) {
+    carDetectionModelLoading = loadModelVariant(logger).finally(() => {
+      carDetectionModelLoading = null
+    })
+  }
+  return carDetectionModelLoading
+}
+
+async function loadModelVariant(logger) {
+  const startedAt = Date.now()
+  await tf.ready()
+
+  try {
+    logger.info('🔧 Inicializando modelo de detección de vehículos...')
+    carDetectionModel = await cocoSsd.load({
+      base: 'mobilenet_v2'
+    })
+    carDetectionModelInfo.variant = 'mobilenet_v2'
+    logger.success('✅ Modelo de detección de vehículos cargado exitosamente')
+  } catch (error) {
+    logger.warning(`⚠️ Error cargando modelo optimizado, usando fallback: ${error.message}`)
+    try {
+      carDetectionModel = await cocoSsd.load()
+    } catch (fallbackError) {
+      carDetectionModelInfo.error = fallbackError.message
+      throw fallbackError
+    }
+    // Sin `base` COCO-SSD usa lite_mobilenet_v2
+    carDetectionModelInfo.variant = 'lite_mobilenet_v2'
+    carDetectionModelInfo.fallback = true
+    logger.info('✅ Modelo fallback cargado')
+  }
+
+  carDetectionModelInfo.loaded = true
+  carDetectionModelInfo.loadMs = Date.now() - startedAt
+  carDetectionModelInfo.error = null
+  return carDetectionModel
+}
+
+/**
+ * Estado de carga del modelo de detección de vehículos
+ * @returns {Object} - { loaded, loading, variant, fallback, loadMs, error }
+ */
+export function getCarDetectionModelInfo() {
+  return { ...carDetectionModelInfo, loading: Boolean(carDetectionModelLoading) }
+}
+
+// Color de cada vehículo en la imagen marcada (el primero, el de mayor confianza, en verde)
+const VEHICLE_COLORS = ['lime', 'cyan', 'yellow', 'orange', 'magenta', 'deepskyblue']
+
+async function createVehicleMarkedImage(imageBuffer, vehicles, logger) {
+  try {
+    // Crear overlay con el rectángulo de cada vehículo
+    const image = sharp(imageBuffer)
+    const { width: imgWidth, height: imgHeight } = await image.metadata()
+
+    const rects = vehicles.map((vehicle, i) => {
+      const [x, y, width, height] = vehicle.bbox
+      const color = VEHICLE_COLORS[i % VEHICLE_COLORS.length]
+      const label = vehicles.length > 1 ? `Vehículo ${vehicle.index}` : 'Vehículo'
+      return `
+        <rect x="${x}" y="${y}" width="${width}" height="${height}"
+              fill="none" stroke="${color}" stroke-width="3" opacity="0.8"/>
+        <text x="${x}" y="${Math.max(20, y - 10)}" fill="${color}" font-size="20" font-weight="bold">${label} (${vehicle.vehicleType} ${(vehicle.confidence * 100).toFixed(0)}%)</text>`
+    })
+
+    const svgOverlay = `
+      <svg width="${imgWidth}" height="${imgHeight}">${rects.join('')}
+      </svg>
+    `
+
+    return await image
+      .composite([{ input: Buffer.from(svgOverlay), top: 0, left: 0 }])
+      .jpeg()
+      .toBuffer()
+  } catch (error) {
+    logger.warning('⚠️ No se pudo crear imagen marcada, usando original')
+    return imageBuffer
+  }
+}
+
+/**
+ * Etapa: detección de vehículos con COCO-SSD
+ * Deja en context.vehicles todos los vehículos sobre el umbral, de mayor a menor confianza:
+ * [{ index, bbox, confidence, vehicleType }], y en context.vehicle el de mayor confianza
+ * { hasVehicle, bbox, confidence, vehicleType, count, omitted, allDetections }
+ * Sin `maxVehicles` se procesan todos; con él, `omitted` cuenta los que quedaron fuera
+ * @param {Object} context - Contexto del pipeline
+ * @param {Object} options - { threshold, classes, maxVehicles, markImage }
+ */
+export async function vehicleDetectionStep(context, options = {}) {
+  const { logger } = context
+  const threshold = options.threshold ?? 0.15
+  const classes = options.classes || VEHICLE_CLASSES
+  const maxVehicles = options.maxVehicles ?? Infinity
+  const noVehicle = { hasVehicle: false, bbox: null, confidence: 0, vehicleType: null, count: 0, omitted: 0, allDetections: [] }
+
+  try {
+    logger.info('🚗 Iniciando detección de vehículos...')
+    const model = await loadCarDetectionModel(logger)
+    const imageTensor = tf.node.decodeImage(context.imageBuffer)
+
+    logger.info('🔍 Analizando imagen con modelo de IA...')
+    const predictions = await model.detect(imageTensor)
+    imageTensor.dispose()
+
+    const vehicleDetections = predictions.filter(pred =>
+      classes.includes(pred.class) && pred.score > threshold
+    )
+    vehicleDetections.sort((a, b) => b.score - a.score)
+
+    if (vehicleDetections.length === 0) {
+      logger.warning('⚠️ No se detectaron vehículos claros en la imagen')
+      context.vehicle = noVehicle
+      return
+    }
+
+    if (vehicleDetections.length > maxVehicles) {
+      logger.warning(`🚙 ${vehicleDetections.length} vehículos sobre el umbral, maxVehicles limita el análisis a los ${maxVehicles} más seguros`)
+    }
+
+    context.vehicles = vehicleDetections.slice(0, maxVehicles).map((detection, i) => ({
+      index: i + 1,
+      bbox: detection.bbox,
+      confidence: detection.score,
+      vehicleType: detection.class
+    }))
+
+    for (const vehicle of context.vehicles) {
+      const name = context.vehicles.length > 1 ? `Vehículo ${vehicle.index}` : 'Vehículo'
+      logger.success(`✅ ${name} detectado: ${vehicle.vehicleType} (confianza: ${(vehicle.confidence * 100).toFixed(1)}%)`)
+      logger.info(`📍 Ubicación: [${vehicle.bbox.map(n => Math.round(n)).join(', ')}]`)
+    }
+
+    if (options.markImage) {
+      const markedBuffer = await createVehicleMarkedImage(context.imageBuffer, context.vehicles, logger)
+      const [best] = context.vehicles
+      const description = context.vehicles.length > 1
+        ? `${context.vehicles.length} vehículos detectados: ${context.vehicles.map(v => v.vehicleType).join(', ')}`
+        : `Vehículo detectado: ${best.vehicleType} (${(best.confidence * 100).toFixed(1)}%)`
+      await context.saveImage(markedBuffer, PROCESSING_STEPS.VEHICLE_DETECTED, description)
+    }
+
+    const [bestVehicle] = context.vehicles
+    context.vehicle = {
+      hasVehicle: true,
+      bbox: bestVehicle.bbox,
+      confidence: bestVehicle.confidence,
+      vehicleType: bestVehicle.vehicleType,
+      count: context.vehicles.length,
+      omitted: vehicleDetections.length - context.vehicles.length,
+      allDetections: vehicleDetections
+    }
+  } catch (error) {
+    logger.error(`❌ Error en detección de vehículos: ${error.message}`)
+    context.vehicle = noVehicle
+    context.vehicles = []
+  }
+}
@@ -0,0 +1,168 @@
+import { matchPlate, resolveRegionHint, getPlateRegion } from './plate-formats/index.js'
+import { cleanPlateText } from './plate-formats/engine.js'
+
+/**
+ * Plate correction - Corrección de confusiones típicas del OCR en placas
+ *
+ * Tesseract confunde caracteres de forma parecida (O/0, I/1, B/8, S/5...).
+ * Cada plantilla indica si una posición lleva letra o dígito, así que una
+ * lectura como "GZW0O2A" se puede corregir a "GZW-002-A". Cada sustitución
+ * cuesta más cuanto más seguro estaba Tesseract del carácter leído.
+ */
+
+/**
+ * Confusiones conocidas en ambos sentidos
+ */
+export const CONFUSIONS = {
+  // Letra leída donde la plantilla espera un dígito
+  toDigit: { O: '0', D: '0', Q: '0', I: '1', L: '1', Z: '2', A: '4', S: '5', G: '6', T: '7', B: '8' },
+  // Dígito leído donde la plantilla espera una letra
+  toLetter: { 0: 'O', 1: 'I', 2: 'Z', 4: 'A', 5: 'S', 6: 'G', 7: 'T', 8: 'B' }
+}
+
+const BASE_SUBSTITUTION_COST = 10
+const CONFIDENCE_SUBSTITUTION_COST = 30
+
+/**
+ * Confianza de Tesseract para cada carácter del texto compacto
+ * @param {Array<Object>} words - Palabras de la lectura con sus símbolos ({ text, confidence })
+ * @param {string} compact - Texto compacto (sin separadores) a alinear
+ * @returns {Array<number>|null} - Confianza de 0 a 1 por carácter, o null si no se pueden alinear
+ */
+export function symbolConfidences(words, compact) {
+  const chars = []
+  for (const symbol of (words || []).flatMap(word => word.symbols || [])) {
+    for (const char of symbol.text.toUpperCase()) {
+      if (/[A-Z0-9]/.test(char)) chars.push({ char, confidence: symbol.confidence })
+    }
+  }
+
+  // Las marcas de agua eliminadas por la limpieza quedan fuera del texto compacto
+  const index = chars.map(c => c.char).join('').indexOf(compact)
+  return index === -1 ? null : chars.slice(index, index + compact.length).map(c => c.confidence)
+}
+
+/**
+ * Sustituciones necesarias para que un fragmento encaje en una plantilla
+ * @param {string} fragment - Fragmento compacto
+ * @param {string} template - Plantilla ('L' letra, 'N' dígito)
+ * @returns {Array<Object>|null} - [{ offset, from, to }] o null si algún carácter no tiene confusión conocida
+ */
+function substitutionsForTemplate(fragment, template) {
+  const slots = template.replace(/-/g, '')
+  const substitutions = []
+
+  for (let i = 0; i < slots.length; i++) {
+    const char = fragment[i]
+    const isDigit = /\d/.test(char)
+    if (slots[i] === 'N' && isDigit) continue
+    if (slots[i] === 'L' && !isDigit) continue
+
+    const to = slots[i] === 'N' ? CONFUSIONS.toDigit[char] : CONFUSIONS.toLetter[char]
+    if (!to) return null
+    substitutions.push({ offset: i, from: char, to })
+  }
+
+  return substitutions
+}
+
+// Un carácter sustituido no lo leyó Tesseract así: conserva la mitad de la confianza del símbolo
+function charConfidencesAfterSubstitution(confidences, start, length, substitutions) {
+  if (!confidences) return null
+  const substituted = new Set(substitutions.map(s => s.offset))
+  return confidences.slice(start, start + length).map((value, i) => substituted.has(i) ? value / 2 : value)
+}
+
+/**
+ * Reemplaza caracteres del texto limpio (con guiones) por posición del texto compacto
+ */
+function applySubstitutions(clean, substitutions) {
+  const replacements = new Map(substitutions.map(s => [s.position, s.to]))
+  let compactIndex = 0
+
+  return [...clean].map(char => {
+    if (char === '-') return char
+    return replacements.get(compactIndex++) ?? char
+  }).join('')
+}
+
+/**
+ * Busca la mejor interpretación de una lectura OCR, con o sin sustituciones
+ * @param {string} text - Texto OCR
+ * @param {Object} options - { region, words, confidence: confianza global de respaldo, maxSubstitutions, minScore: puntuación mínima de una lectura corregida }
+ * @returns {Object|null} - { text, plateText, originalText, substitutions: [{ position, from, to, confidence }], plateInfo, charConfidences, score } o null
+ *   `charConfidences` es la confianza de Tesseract por carácter de la placa, a la mitad en los
+ *   caracteres sustituidos (null si no se pudo alinear)
+ */
+export function correctPlateText(text, { region, words = [], confidence = 0.5, maxSubstitutions = 3, minScore = 40 } = {}) {
+  const [direct] = matchPlate(text, { region })
+  let best = direct
+    ? {
+        text,
+        plateText: direct.plateText,
+        originalText: text,
+        substitutions: [],
+        plateInfo: direct,
+        charConfidences: symbolConfidences(words, direct.normalized),
+        score: direct.score
+      }
+    : null
+
+  for (const code of resolveRegionHint(region)) {
+    const plateRegion = getPlateRegion(code)
+    const clean = cleanPlateText(text, plateRegion)
+    const compact = clean.replace(/-/g, '')
+    const confidences = symbolConfidences(words, compact)
+
+    for (const format of plateRegion.formats) {
+      const length = format.template.replace(/-/g, '').length
+
+      for (let start = 0; start + length <= compact.length; start++) {
+        const fragment = compact.slice(start, start + length)
+        const found = substitutionsForTemplate(fragment, format.template)
+        if (!found || found.length === 0 || found.length > maxSubstitutions) continue
+
+        const substitutions = found.map(({ offset, from, to }) => ({
+          position: start + offset,
+          from,
+          to,
+          confidence: confidences ? confidences[start + offset] : confidence
+        }))
+
+        const correctedText = applySubstitutions(clean, substitutions)
+        const corrected = correctedText.replace(/-/g, '').slice(start, start + length)
+        const plateInfo = matchPlate(correctedText, { region: [code] })
+          .find(result => result.normalized === corrected && result.template === format.template)
+        if (!plateInfo) continue
+
+        const cost = substitutions.reduce((sum, s) =>
+          sum + BASE_SUBSTITUTION_COST + CONFIDENCE_SUBSTITUTION_COST * s.confidence, 0)
+        const score = plateInfo.score - cost
+
+        // Con suficientes sustituciones casi cualquier texto encaja en algún formato
+        if (score < minScore) continue
+
+        if (!best || score > best.score) {
+          best = {
+            text: correctedText,
+            plateText: plateInfo.plateText,
+            originalText: text,
+            substitutions,
+            plateInfo: {
+              ...plateInfo,
+              score,
+              reasons: [
+                ...plateInfo.reasons,
+                ...substitutions.map(s => `Corrección OCR ${s.from}→${s.to} en posición ${s.position + 1} (confianza ${(s.confidence * 100).toFixed(0)}%)`)
+              ]
+            },
+            charConfidences: charConfidencesAfterSubstitution(confidences, start, length, found),
+            score
+          }
+        }
+      }
+    }
+  }
+
+  return best
+}
@@ -0,0 +1,89 @@
+/**
+ * Plate formats (Centroamérica) - Formatos de placa de Guatemala, El Salvador,
+ * Honduras, Nicaragua, Costa Rica y Panamá
+ *
+ * En Guatemala y El Salvador la letra inicial indica el tipo de servicio
+ * (`prefixes`). Las plantillas son aproximadas y están pendientes de verificar
+ * contra los reglamentos de tránsito de cada país.
+ *
+ * Plantillas: L = letra, N = dígito, - = separador.
+ */
+
+export const GUATEMALA = {
+  code: 'GT',
+  name: 'Guatemala',
+  separator: '-',
+  separators: ['-', ' '],
+  noiseWords: [/GUATEMALA/g, /CENTRO ?AMERICA/g],
+  formats: [
+    { type: 'private', template: 'L-NNN-LLL', weight: 75, prefixes: ['P'] },
+    { type: 'commercial', template: 'L-NNN-LLL', weight: 65, prefixes: ['C'] },
+    { type: 'rental', template: 'L-NNN-LLL', weight: 60, prefixes: ['A'] },
+    { type: 'public_service', template: 'L-NNN-LLL', weight: 60, prefixes: ['U'] },
+    { type: 'motorcycle', template: 'L-NNN-LLL', weight: 60, prefixes: ['M'] },
+    { type: 'trailer', template: 'LL-NNN-LLL', weight: 55, prefixes: ['TC'] }
+  ]
+}
+
+export const EL_SALVADOR = {
+  code: 'SV',
+  name: 'El Salvador',
+  separator: '-',
+  separators: ['-', ' '],
+  noiseWords: [/EL SALVADOR/g, /CENTRO ?AMERICA/g],
+  formats: [
+    { type: 'private', template: 'L-NNN-NNN', weight: 70, prefixes: ['P'] },
+    { type: 'commercial', template: 'L-NNN-NNN', weight: 60, prefixes: ['C'] },
+    { type: 'rental', template: 'L-NNN-NNN', weight: 55, prefixes: ['A'] },
+    { type: 'motorcycle', template: 'L-NNN-NNN', weight: 55, prefixes: ['M'] },
+    { type: 'public_service', template: 'LL-NNN-NNN', weight: 55, prefixes: ['AB', 'MB'] }
+  ]
+}
+
+export const HONDURAS = {
+  code: 'HN',
+  name: 'Honduras',
+  separator: ' ',
+  separators: ['-', ' '],
+  noiseWords: [/HONDURAS/g, /CENTRO ?AMERICA/g],
+  formats: [
+    { type: 'private', template: 'LLL-NNNN', weight: 70, prefixes: ['H'] }
+  ]
+}
+
+export const NICARAGUA = {
+  code: 'NI',
+  name: 'Nicaragua',
+  separator: ' ',
+  separators: ['-', ' '],
+  noiseWords: [/NICARAGUA/g, /CENTRO ?AMERICA/g],
+  formats: [
+    { type: 'private', template: 'LL-NNN-NNN', weight: 65 }
+  ]
+}
+
+export const COSTA_RICA = {
+  code: 'CR',
+  name: 'Costa Rica',
+  separator: '-',
+  separators: ['-', ' '],
+  noiseWords: [/COSTA RICA/g, /CENTRO ?AMERICA/g],
+  formats: [
+    { type: 'private', template: 'LLL-NNN', weight: 60 },
+    { type: 'private', template: 'NNNNNN', weight: 40 }
+  ]
+}
+
+export const PANAMA = {
+  code: 'PA',
+  name: 'Panamá',
+  separator: '-',
+  separators: ['-', ' '],
+  noiseWords: [/PANAMA/g, /REPUBLICA DE/g],
+  formats: [
+    { type: 'private', template: 'LL-NNNN', weight: 55 },
+    { type: 'private', template: 'NNNNNN', weight: 40 }
+  ]
+}
+
+export default [GUATEMALA, EL_SALVADOR, HONDURAS, NICARAGUA, COSTA_RICA, PANAMA]
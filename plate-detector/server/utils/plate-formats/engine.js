@@ -0,0 +1,214 @@
+/**
+ * Plate format engine - Coincidencia de texto OCR contra formatos de placa
+ *
+ * Cada región (país) es un módulo con sus formatos, separadores, reglas de
+ * caracteres y, opcionalmente, un `describe` que agrega información propia
+ * (p. ej. el estado emisor en México).
+ *
+ * Plantillas: L = letra, N = dígito, - = separador.
+ */
+
+export const FORMAT_TYPES = {
+  private: 'Particular',
+  public_service: 'Servicio público',
+  federal: 'Servicio federal',
+  commercial: 'Comercial',
+  rental: 'Alquiler',
+  motorcycle: 'Motocicleta',
+  trailer: 'Remolque'
+}
+
+// Marcas de agua y leyendas que aparecen en las fotos del dataset
+const COMMON_NOISE_WORDS = [/PLATESMANIA/g, /WWW\./g, /\.COM/g]
+
+/**
+ * Convierte una plantilla en su expresión regular sobre texto compacto (sin separadores)
+ * @param {string} template - Plantilla, p. ej. 'LLL-NN-NN'
+ * @returns {string} - Fuente de la expresión regular
+ */
+export function templateSource(template) {
+  return template
+    .replace(/-/g, '')
+    .replace(/L+/g, run => `[A-Z]{${run.length}}`)
+    .replace(/N+/g, run => `\\d{${run.length}}`)
+}
+
+/**
+ * Aplica los separadores de una plantilla a un texto compacto
+ * @param {string} compact - Texto sin separadores
+ * @param {string} template - Plantilla con separadores
+ * @param {string} separator - Separador de la región
+ * @returns {string} - Texto formateado
+ */
+export function applyTemplate(compact, template, separator = '-') {
+  let index = 0
+  return [...template].map(slot => slot === '-' ? separator : compact[index++]).join('')
+}
+
+/**
+ * Limpia el texto OCR: mayúsculas, sin marcas de agua ni caracteres ajenos a una placa.
+ * Los separadores de la región se unifican como '-'.
+ * @param {string} text - Texto OCR
+ * @param {Object} region - Módulo de región ({ separators, noiseWords })
+ * @returns {string} - Texto con letras, dígitos y guiones
+ */
+export function cleanPlateText(text, region = {}) {
+  let clean = (text || '').toUpperCase()
+  for (const word of [...COMMON_NOISE_WORDS, ...(region.noiseWords || [])]) {
+    clean = clean.replace(word, ' ')
+  }
+
+  for (const separator of region.separators || ['-']) {
+    if (separator !== ' ') clean = clean.split(separator).join('-')
+  }
+
+  return clean
+    .replace(/[^A-Z0-9-\s]/g, '')
+    .replace(/\s+/g, '')
+}
+
+// Fragmento del texto limpio (con guiones) que corresponde a una posición del texto compacto
+function originalSegment(clean, start, length) {
+  let compactIndex = 0
+  let segment = ''
+
+  for (const char of clean) {
+    if (char === '-') {
+      if (segment.length > 0 && compactIndex < start + length) segment += char
+      continue
+    }
+    if (compactIndex >= start && compactIndex < start + length) segment += char
+    compactIndex++
+  }
+
+  return segment.replace(/-+$/, '')
+}
+
+/**
+ * Evalúa un texto compacto contra un formato concreto de una región
+ * @param {string} compact - Texto sin separadores
+ * @param {Object} format - { type, template, weight, prefixes }
+ * @param {Object} region - Módulo de región
+ * @param {string} original - Fragmento original con guiones, para comparar separadores
+ * @param {number} leftover - Caracteres del texto OCR que quedan fuera de la coincidencia
+ * @returns {Object} - Resultado estructurado
+ */
+function describeMatch(compact, format, region, original, leftover) {
+  const reasons = [`Formato ${FORMAT_TYPES[format.type].toLowerCase()} ${format.template} (${region.name})`]
+  let score = format.weight
+  let state = null
+
+  if (region.describe) {
+    const extra = region.describe(compact, format) || {}
+    score += extra.score || 0
+    state = extra.state || null
+    reasons.push(...(extra.reasons || []))
+  }
+
+  if (original.includes('-')) {
+    if (original === applyTemplate(compact, format.template)) {
+      score += 10
+      reasons.push('Separadores coinciden con el formato')
+    } else {
+      score -= 5
+      reasons.push('Separadores distintos a los del formato')
+    }
+  }
+
+  // Entre países, una lectura completa pesa más que un fragmento que encaja en otro formato
+  if (leftover > 0) {
+    score -= 5 * leftover
+    reasons.push(`${leftover} caracteres fuera del formato`)
+  }
+
+  const excluded = [...new Set([...compact].filter(char => region.excludedLetters?.includes(char)))]
+  if (excluded.length > 0) {
+    score -= 15
+    reasons.push(`Letras que no se emiten en ${region.name}: ${excluded.join(', ')}`)
+  }
+
+  if (/(\d)\1\1/.test(compact)) {
+    score -= 20
+    reasons.push('Dígitos repetidos (posible lectura errónea)')
+  }
+  if (/([A-Z])\1\1/.test(compact)) {
+    score -= 15
+    reasons.push('Letras repetidas (posible lectura errónea)')
+  }
+
+  return {
+    valid: true,
+    plateText: applyTemplate(compact, format.template, region.separator),
+    normalized: compact,
+    country: region.code,
+    countryName: region.name,
+    formatType: format.type,
+    formatLabel: FORMAT_TYPES[format.type],
+    template: format.template,
+    state,
+    score,
+    reasons
+  }
+}
+
+/**
+ * Todas las interpretaciones de un texto OCR en una región, de mejor a peor
+ * @param {string} text - Texto OCR
+ * @param {Object} region - Módulo de región
+ * @returns {Array<Object>} - Resultados estructurados
+ */
+export function matchRegion(text, region) {
+  const clean = cleanPlateText(text, region)
+  const compact = clean.replace(/-/g, '')
+  const best = new Map()
+
+  for (const format of region.formats) {
+    const pattern = new RegExp(templateSource(format.template), 'g')
+    let match
+
+    // Coincidencias solapadas: se avanza un carácter tras cada intento
+    while ((match = pattern.exec(compact)) !== null) {
+      pattern.lastIndex = match.index + 1
+      const candidate = match[0]
+      if (format.prefixes && !format.prefixes.some(prefix => candidate.startsWith(prefix))) continue
+
+      const original = originalSegment(clean, match.index, candidate.length)
+      const result = describeMatch(candidate, format, region, original, compact.length - candidate.length)
+
+      // Un mismo texto puede coincidir con varios formatos; se conserva el mejor
+      const current = best.get(result.plateText)
+      if (!current || result.score > current.score) best.set(result.plateText, result)
+    }
+  }
+
+  return [...best.values()].sort(compareResults)
+}
+
+/**
+ * Orden de resultados: mayor puntuación y, a igualdad, el texto más largo
+ */
+export function compareResults(a, b) {
+  return b.score - a.score || b.normalized.length - a.normalized.length
+}
+
+/**
+ * Resultado de un texto que no coincide con ningún formato
+ * @param {string} text - Texto OCR
+ * @param {string} reason - Motivo
+ * @returns {Object} - Resultado con valid: false
+ */
+export function invalidResult(text, reason) {
+  return {
+    valid: false,
+    plateText: null,
+    normalized: cleanPlateText(text).replace(/-/g, ''),
+    country: null,
+    countryName: null,
+    formatType: null,
+    formatLabel: null,
+    template: null,
+    state: null,
+    score: 0,
+    reasons: [reason]
+  }
+}
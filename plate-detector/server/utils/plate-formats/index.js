@@ -0,0 +1,106 @@
+import mexico from './mexico.js'
+import unitedStates from './united-states.js'
+import centralAmerica from './central-america.js'
+import { matchRegion, compareResults, cleanPlateText, invalidResult } from './engine.js'
+
+/**
+ * Plate formats - Registro de formatos de placa por país
+ *
+ * Cada módulo de región define { code, name, separator, separators,
+ * noiseWords, excludedLetters, formats, describe }. Sin `region` se prueban
+ * todas las regiones y se ordenan las coincidencias por puntuación.
+ */
+
+const regions = new Map()
+
+/**
+ * Agrupaciones que se pueden usar como pista de región
+ */
+export const REGION_GROUPS = {
+  NORTH_AMERICA: ['MX', 'US'],
+  CENTRAL_AMERICA: ['GT', 'SV', 'HN', 'NI', 'CR', 'PA']
+}
+
+/**
+ * Registra un módulo de región
+ * @param {Object} region - Módulo con al menos { code, name, formats }
+ */
+export function registerPlateRegion(region) {
+  if (!region?.code || !region.name || !Array.isArray(region.formats)) {
+    throw new Error('Región de placas inválida: requiere code, name y formats')
+  }
+  regions.set(region.code, region)
+}
+
+/**
+ * Obtiene un módulo de región por su código de país
+ * @param {string} code - Código ISO 3166-1 alfa-2, p. ej. 'MX'
+ * @returns {Object|undefined}
+ */
+export function getPlateRegion(code) {
+  return regions.get(code)
+}
+
+/**
+ * Lista las regiones registradas
+ * @returns {Array<Object>} - [{ code, name, formats: [{ type, template }] }]
+ */
+export function listPlateRegions() {
+  return [...regions.values()].map(region => ({
+    code: region.code,
+    name: region.name,
+    formats: region.formats.map(({ type, template }) => ({ type, template }))
+  }))
+}
+
+/**
+ * Convierte una pista de región en la lista de códigos de país a probar.
+ * Acepta códigos de país, grupos (REGION_GROUPS) o una lista separada por comas.
+ * @param {string|Array<string>} hint - Pista de región, p. ej. 'MX', 'MX,US' o 'CENTRAL_AMERICA'
+ * @returns {Array<string>} - Códigos de país (todas las regiones si no hay pista)
+ */
+export function resolveRegionHint(hint) {
+  if (!hint || hint.length === 0) return [...regions.keys()]
+
+  const names = Array.isArray(hint) ? hint : hint.split(',')
+  const codes = new Set()
+
+  for (const name of names.map(value => value.trim().toUpperCase()).filter(Boolean)) {
+    if (REGION_GROUPS[name]) REGION_GROUPS[name].forEach(code => codes.add(code))
+    else if (regions.has(name)) codes.add(name)
+    else throw new Error(`Región de placas desconocida: ${name} (usar ${[...regions.keys(), ...Object.keys(REGION_GROUPS)].join(', ')})`)
+  }
+
+  return [...codes]
+}
+
+/**
+ * Todas las interpretaciones de un texto OCR en las regiones indicadas, de mejor a peor
+ * @param {string} text - Texto OCR
+ * @param {Object} options - { region: pista de región }
+ * @returns {Array<Object>} - Resultados estructurados (ver validatePlate)
+ */
+export function matchPlate(text, { region } = {}) {
+  return resolveRegionHint(region)
+    .flatMap(code => matchRegion(text, regions.get(code)))
+    .sort(compareResults)
+}
+
+/**
+ * Valida el texto OCR contra los formatos de placa registrados
+ * @param {string} text - Texto OCR
+ * @param {Object} options - { region: pista de región }
+ * @returns {Object} - { valid, plateText, normalized, country, countryName, formatType, formatLabel, template, state, score, reasons }
+ */
+export function validatePlate(text, { region } = {}) {
+  if (cleanPlateText(text).replace(/-/g, '').length < 5) {
+    return invalidResult(text, 'Texto demasiado corto para una placa')
+  }
+
+  const [best] = matchPlate(text, { region })
+  return best || invalidResult(text, 'No coincide con ningún formato de placa conocido')
+}
+
+registerPlateRegion(mexico)
+registerPlateRegion(unitedStates)
+centralAmerica.forEach(registerPlateRegion)
@@ -0,0 +1,53 @@
+/**
+ * Series de placas particulares por entidad federativa (México)
+ *
+ * Fuente: NOM-001-SCT-2-2016, "Placas metálicas, calcomanías de identificación y
+ * tarjetas de circulación [...] listado de series asignadas por tipo de vehículo,
+ * servicio y entidad federativa o dependencia de gobierno [...]", Diario Oficial
+ * de la Federación. Se transcriben sólo las series de tres letras de automóviles
+ * particulares; los rangos son inclusivos y aproximados, y una entidad puede
+ * recibir series nuevas que aún no estén aquí.
+ */
+
+export const MX_SERIES_SOURCE = {
+  document: 'NOM-001-SCT-2-2016',
+  publisher: 'Diario Oficial de la Federación',
+  section: 'Listado de series asignadas por tipo de vehículo, servicio y entidad federativa'
+}
+
+/**
+ * Series asignadas a cada estado: [desde, hasta] en orden alfabético
+ */
+export const MX_STATE_SERIES = [
+  { code: 'AGU', name: 'Aguascalientes', series: [['AAA', 'AFZ']] },
+  { code: 'BCN', name: 'Baja California', series: [['AGA', 'CYZ']] },
+  { code: 'BCS', name: 'Baja California Sur', series: [['CZA', 'DEZ']] },
+  { code: 'CAM', name: 'Campeche', series: [['DFA', 'DKZ']] },
+  { code: 'CHP', name: 'Chiapas', series: [['DLA', 'DSZ']] },
+  { code: 'CHH', name: 'Chihuahua', series: [['DTA', 'ETZ']] },
+  { code: 'COA', name: 'Coahuila', series: [['EUA', 'FPZ']] },
+  { code: 'COL', name: 'Colima', series: [['FRA', 'FWZ']] },
+  { code: 'DUR', name: 'Durango', series: [['FXA', 'GFZ']] },
+  { code: 'GUA', name: 'Guanajuato', series: [['GGA', 'GYZ']] },
+  { code: 'GRO', name: 'Guerrero', series: [['GZA', 'HFZ']] },
+  { code: 'HID', name: 'Hidalgo', series: [['HGA', 'HRZ']] },
+  { code: 'JAL', name: 'Jalisco', series: [['HSA', 'LFZ']] },
+  { code: 'MEX', name: 'Estado de México', series: [['LGA', 'PEZ']] },
+  { code: 'MIC', name: 'Michoacán', series: [['PFA', 'PUZ']] },
+  { code: 'MOR', name: 'Morelos', series: [['PVA', 'RDZ']] },
+  { code: 'NAY', name: 'Nayarit', series: [['REA', 'RJZ']] },
+  { code: 'NLE', name: 'Nuevo León', series: [['RKA', 'TGZ']] },
+  { code: 'OAX', name: 'Oaxaca', series: [['THA', 'TMZ']] },
+  { code: 'PUE', name: 'Puebla', series: [['TNA', 'UJZ']] },
+  { code: 'QUE', name: 'Querétaro', series: [['UKA', 'UPZ']] },
+  { code: 'ROO', name: 'Quintana Roo', series: [['URA', 'UVZ']] },
+  { code: 'SLP', name: 'San Luis Potosí', series: [['UWA', 'VEZ']] },
+  { code: 'SIN', name: 'Sinaloa', series: [['VFA', 'VSZ']] },
+  { code: 'SON', name: 'Sonora', series: [['VTA', 'WKZ']] },
+  { code: 'TAB', name: 'Tabasco', series: [['WLA', 'WWZ']] },
+  { code: 'TAM', name: 'Tamaulipas', series: [['WXA', 'XSZ']] },
+  { code: 'TLA', name: 'Tlaxcala', series: [['XTA', 'XXZ']] },
+  { code: 'VER', name: 'Veracruz', series: [['XYA', 'YVZ']] },
+  { code: 'YUC', name: 'Yucatán', series: [['YWA', 'ZCZ']] },
+  { code: 'ZAC', name: 'Zacatecas', series: [['ZDA', 'ZHZ']] }
+]
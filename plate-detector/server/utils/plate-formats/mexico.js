@@ -0,0 +1,108 @@
+/**
+ * Plate formats (México) - Base de conocimiento de formatos de placa mexicana
+ *
+ * Formatos por tipo de servicio y estado emisor probable según las series
+ * asignadas a cada entidad (mexico-series.js, con su fuente).
+ *
+ * Plantillas: L = letra, N = dígito, - = separador.
+ */
+import { MX_SERIES_SOURCE, MX_STATE_SERIES } from './mexico-series.js'
+
+/**
+ * Formatos conocidos. `weight` es la probabilidad relativa de cada formato
+ * cuando un mismo texto coincide con varios; `state` fija el estado emisor
+ * cuando el formato es exclusivo de una entidad y `stateBy` indica cómo deducirlo
+ * de la serie: `series` por el rango de tres letras, `prefix` sólo por la letra inicial.
+ */
+const PLATE_FORMATS = [
+  { type: 'private', template: 'LLL-NN-NN', weight: 100, stateBy: 'series' },
+  { type: 'private', template: 'LLL-NNN-L', weight: 95, stateBy: 'series' },
+  { type: 'private', template: 'NNN-LLL', weight: 70, state: 'CMX' },
+  { type: 'public_service', template: 'L-NNN-LLL', weight: 75 },
+  { type: 'public_service', template: 'NNN-NNN-L', weight: 65 },
+  { type: 'federal', template: 'NN-LL-NN', weight: 70 },
+  { type: 'federal', template: 'NN-LL-NL', weight: 65 },
+  { type: 'motorcycle', template: 'LLL-NN', weight: 55, stateBy: 'prefix' },
+  { type: 'motorcycle', template: 'NN-LLL', weight: 50 },
+  { type: 'trailer', template: 'LL-NNNN', weight: 60 },
+  { type: 'trailer', template: 'NN-NNN-L', weight: 55 }
+]
+
+const STATES_BY_CODE = {
+  CMX: { code: 'CMX', name: 'Ciudad de México' },
+  ...Object.fromEntries(MX_STATE_SERIES.map(({ code, name }) => [code, { code, name }]))
+}
+
+// Letras iniciales de las series de cada estado: 'G' → Durango, Guanajuato y Guerrero
+const STATES_BY_PREFIX = new Map()
+for (const { code, series } of MX_STATE_SERIES) {
+  for (const [from, to] of series) {
+    for (let letter = from.charCodeAt(0); letter <= to.charCodeAt(0); letter++) {
+      const prefix = String.fromCharCode(letter)
+      STATES_BY_PREFIX.set(prefix, [...new Set([...(STATES_BY_PREFIX.get(prefix) || []), code])])
+    }
+  }
+}
+
+/**
+ * Estado al que está asignada una serie de tres letras
+ * @param {string} series - Tres letras iniciales
+ * @returns {Object|null} - { code, name, from, to } o null
+ */
+function stateForSeries(series) {
+  for (const { code, name, series: ranges } of MX_STATE_SERIES) {
+    const range = ranges.find(([from, to]) => series >= from && series <= to)
+    if (range) return { code, name, from: range[0], to: range[1] }
+  }
+  return null
+}
+
+/**
+ * Estado emisor probable según el formato y la serie
+ * @param {string} compact - Texto sin separadores
+ * @param {Object} format - Entrada de PLATE_FORMATS
+ * @returns {Object} - { state, score, reasons }
+ */
+function describeState(compact, format) {
+  if (format.state) {
+    const state = STATES_BY_CODE[format.state]
+    return { state, score: 0, reasons: [`Formato exclusivo de ${state.name}`] }
+  }
+
+  if (format.stateBy === 'series') {
+    const series = compact.slice(0, 3)
+    const match = stateForSeries(series)
+    if (!match) {
+      return { state: null, score: -10, reasons: [`Serie ${series} fuera de los rangos estatales de la ${MX_SERIES_SOURCE.document}`] }
+    }
+    return {
+      state: STATES_BY_CODE[match.code],
+      score: 10,
+      reasons: [`Serie ${series} asignada a ${match.name} (${match.from}–${match.to}, ${MX_SERIES_SOURCE.document})`]
+    }
+  }
+
+  // Las series de motocicleta no están transcritas: la letra inicial sólo acota los estados posibles
+  if (format.stateBy === 'prefix') {
+    const prefix = compact[0]
+    const codes = STATES_BY_PREFIX.get(prefix) || []
+    if (codes.length === 1) {
+      const state = STATES_BY_CODE[codes[0]]
+      return { state, score: 5, reasons: [`Letra inicial ${prefix} asignada sólo a ${state.name}`] }
+    }
+    const names = codes.map(code => STATES_BY_CODE[code].name).join(', ')
+    return { state: null, score: 0, reasons: [`Letra inicial ${prefix} compartida por ${names || 'ningún estado'}`] }
+  }
+
+  return { state: null, score: 0, reasons: ['Este tipo de placa no codifica el estado emisor'] }
+}
+
+export default {
+  code: 'MX',
+  name: 'México',
+  separator: '-',
+  separators: ['-', ' '],
+  noiseWords: [/MEXICO/g],
+  formats: PLATE_FORMATS,
+  describe: describeState
+}
@@ -0,0 +1,68 @@
+/**
+ * Plate formats (Estados Unidos) - Formatos de placa estadounidense
+ *
+ * Cada estado define sus propias series; aquí sólo se recogen los formatos de
+ * pasajero más extendidos y los estados que los usan. Los pesos quedan por
+ * debajo de los formatos mexicanos porque el dataset es mayormente de México.
+ *
+ * Plantillas: L = letra, N = dígito, - = separador.
+ */
+
+/**
+ * Formatos conocidos. `issuers` lista los estados que emiten el formato
+ * (informativo: muchos estados comparten plantilla).
+ */
+const PLATE_FORMATS = [
+  { type: 'private', template: 'NLLL-NNN', weight: 80, issuers: ['CA'] },
+  { type: 'private', template: 'LLL-NNNN', weight: 70, issuers: ['TX', 'NY', 'PA', 'OH', 'GA', 'MI', 'NC', 'VA'] },
+  { type: 'private', template: 'LLL-NNN', weight: 60, issuers: ['AZ', 'CO', 'FL', 'NV', 'WA'] },
+  { type: 'private', template: 'NNN-LLL', weight: 55, issuers: ['IL', 'MA', 'MN', 'NJ'] },
+  { type: 'private', template: 'NN-LLL-N', weight: 50, issuers: ['FL', 'IN', 'MO'] },
+  { type: 'motorcycle', template: 'NN-LLLL', weight: 40, issuers: ['CA', 'TX'] }
+]
+
+const STATE_NAMES = {
+  AZ: 'Arizona',
+  CA: 'California',
+  CO: 'Colorado',
+  FL: 'Florida',
+  GA: 'Georgia',
+  IL: 'Illinois',
+  IN: 'Indiana',
+  MA: 'Massachusetts',
+  MI: 'Michigan',
+  MN: 'Minnesota',
+  MO: 'Missouri',
+  NC: 'North Carolina',
+  NJ: 'New Jersey',
+  NV: 'Nevada',
+  NY: 'New York',
+  OH: 'Ohio',
+  PA: 'Pennsylvania',
+  TX: 'Texas',
+  VA: 'Virginia',
+  WA: 'Washington'
+}
+
+// Un estado emisor sólo se asigna cuando la plantilla es exclusiva de uno
+function describeIssuer(compact, format) {
+  if (format.issuers.length === 1) {
+    const [code] = format.issuers
+    return { state: { code, name: STATE_NAMES[code] }, reasons: [`Formato usado en ${STATE_NAMES[code]}`] }
+  }
+
+  return { reasons: [`Formato común en ${format.issuers.join(', ')}`] }
+}
+
+export default {
+  code: 'US',
+  name: 'Estados Unidos',
+  separator: ' ',
+  separators: ['-', ' ', '·', '•'],
+  // Leyendas habituales en la parte superior e inferior de la placa
+  noiseWords: [/CALIFORNIA/g, /TEXAS/g, /ARIZONA/g, /NEW ?MEXICO/g, /DMV\.CA\.GOV/g, /THE LONE STAR STATE/g],
+  // La mayoría de los estados no emiten I, O ni Q para evitar confusiones con 1 y 0
+  excludedLetters: ['I', 'O', 'Q'],
+  formats: PLATE_FORMATS,
+  describe: describeIssuer
+}
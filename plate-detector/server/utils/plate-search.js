@@ -0,0 +1,147 @@
+import { CONFUSIONS } from './plate-correction.js'
+import { normalizePlateText } from './ground-truth.js'
+
+/**
+ * Plate search - Búsqueda de placas leídas con comodines o con tolerancia a errores del OCR
+ *
+ * - Comodines: `?` es un carácter y `*` cualquier cantidad; el patrón cubre toda la placa,
+ *   así que una placa parcial se busca como `GZW*`. Guiones y espacios no cuentan.
+ * - Difusa: distancia de edición donde sustituir un carácter por uno que el OCR suele
+ *   confundir con él (O/0, B/8, S/5...) cuesta menos que cualquier otra sustitución.
+ *   "GZW0O2A" queda a 0.4 de "GZW-002-A" en lugar de a 1.
+ */
+
+export const SEARCH_MODES = ['auto', 'wildcard', 'fuzzy']
+
+export const SEARCH_DEFAULTS = {
+  maxDistance: 2,
+  confusionCost: 0.4,     // Sustitución entre caracteres que el OCR confunde
+  substitutionCost: 1,
+  indelCost: 1,           // Carácter sobrante o faltante
+  similarityWeight: 0.8   // Peso de la similitud frente a la confianza de la lectura al ordenar
+}
+
+// Pares confundibles en ambos sentidos: "O0", "0O", "B8"...
+const CONFUSABLE_PAIRS = new Set(
+  [...Object.entries(CONFUSIONS.toDigit), ...Object.entries(CONFUSIONS.toLetter)]
+    .flatMap(([a, b]) => [a + b, b + a])
+)
+
+/**
+ * Indica si el OCR suele confundir dos caracteres (en cualquier sentido)
+ * @param {string} a - Carácter
+ * @param {string} b - Carácter
+ * @returns {boolean}
+ */
+export function isConfusion(a, b) {
+  return CONFUSABLE_PAIRS.has(a + b)
+}
+
+/**
+ * Costo de sustituir un carácter por otro
+ * @param {string} a - Carácter leído
+ * @param {string} b - Carácter buscado
+ * @param {Object} costs - { confusionCost, substitutionCost }
+ * @returns {number}
+ */
+export function characterCost(a, b, { confusionCost, substitutionCost } = SEARCH_DEFAULTS) {
+  if (a === b) return 0
+  return isConfusion(a, b) ? confusionCost : substitutionCost
+}
+
+/**
+ * Distancia de edición ponderada por las confusiones conocidas del OCR
+ * @param {string} a - Texto normalizado
+ * @param {string} b - Texto normalizado
+ * @param {Object} options - Costos (ver SEARCH_DEFAULTS)
+ * @returns {number}
+ */
+export function weightedEditDistance(a, b, options = {}) {
+  const costs = { ...SEARCH_DEFAULTS, ...options }
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j * costs.indelCost)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i * costs.indelCost]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + costs.indelCost,
+        current[j - 1] + costs.indelCost,
+        previous[j - 1] + characterCost(a[i - 1], b[j - 1], costs)
+      )
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * Prepara una búsqueda de placa
+ * @param {string} query - Placa, parcial con comodines o completa
+ * @param {Object} options - { mode: 'auto' | 'wildcard' | 'fuzzy', maxDistance }
+ * @returns {Object} - { query, mode, maxDistance, pattern (normalizado), matcher }
+ * @throws {Error} - Si la búsqueda está vacía o el modo no existe
+ */
+export function compilePlateQuery(query, { mode = 'auto', maxDistance = SEARCH_DEFAULTS.maxDistance } = {}) {
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`mode debe ser uno de: ${SEARCH_MODES.join(', ')}`)
+  }
+
+  const pattern = (query || '').toUpperCase().replace(/[^A-Z0-9?*]/g, '')
+  if (pattern.replace(/[?*]/g, '') === '') {
+    throw new Error('La búsqueda debe incluir al menos un carácter de placa')
+  }
+
+  const hasWildcards = /[?*]/.test(pattern)
+  const resolvedMode = mode === 'auto' ? (hasWildcards ? 'wildcard' : 'fuzzy') : mode
+  if (resolvedMode === 'fuzzy' && hasWildcards) {
+    throw new Error('La búsqueda difusa no admite comodines (? o *)')
+  }
+
+  let matcher
+  if (resolvedMode === 'wildcard') {
+    const regex = new RegExp(`^${pattern.replace(/\?/g, '.').replace(/\*+/g, '.*')}$`)
+    const fixedChars = pattern.replace(/[?*]/g, '').length
+
+    // Similitud: proporción de la placa que fija el patrón (GZW-002-A sin comodines vale 1)
+    matcher = (text) => regex.test(text)
+      ? { distance: 0, similarity: Number((fixedChars / text.length).toFixed(3)) }
+      : null
+  } else {
+    matcher = (text) => {
+      const distance = weightedEditDistance(text, pattern)
+      if (distance > maxDistance) return null
+      const similarity = 1 - distance / Math.max(text.length, pattern.length)
+      return { distance: Number(distance.toFixed(2)), similarity: Number(Math.max(0, similarity).toFixed(3)) }
+    }
+  }
+
+  return { query, mode: resolvedMode, maxDistance, pattern, matcher }
+}
+
+/**
+ * Busca en una lista de lecturas la que mejor coincide
+ * @param {Object} compiled - Resultado de compilePlateQuery
+ * @param {Array<Object>} reads - { plateText, confidence, source }
+ * @returns {Object|null} - { plateText, confidence, source, distance, similarity, score } o null
+ */
+export function bestPlateMatch(compiled, reads) {
+  let best = null
+
+  for (const read of reads) {
+    const text = normalizePlateText(read.plateText)
+    if (!text) continue
+
+    const match = compiled.matcher(text)
+    if (!match) continue
+
+    const confidence = read.confidence || 0
+    const score = SEARCH_DEFAULTS.similarityWeight * match.similarity +
+      (1 - SEARCH_DEFAULTS.similarityWeight) * confidence
+    if (!best || score > best.score) {
+      best = { plateText: read.plateText, confidence, source: read.source, ...match, score: Number(score.toFixed(3)) }
+    }
+  }
+
+  return best
+}
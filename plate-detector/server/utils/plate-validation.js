@@ -0,0 +1,26 @@
+/**
+ * Plate validation - Validación de texto OCR contra formatos de placa
+ *
+ * Atajos para validar sólo contra México. El registro de formatos por país
+ * (validatePlate, matchPlate, regiones) se importa de plate-formats/index.js y la
+ * base de conocimiento de México vive en plate-formats/mexico.js.
+ */
+import { validatePlate, matchPlate } from './plate-formats/index.js'
+
+/**
+ * Valida el texto OCR sólo contra los formatos de placa mexicana
+ * @param {string} text - Texto OCR
+ * @returns {Object} - Ver validatePlate
+ */
+export function validateMexicanPlate(text) {
+  return validatePlate(text, { region: 'MX' })
+}
+
+/**
+ * Interpretaciones del texto OCR como placa mexicana, de mejor a peor
+ * @param {string} text - Texto OCR
+ * @returns {Array<Object>} - Ver validatePlate
+ */
+export function matchMexicanPlate(text) {
+  return matchPlate(text, { region: 'MX' })
+}
@@ -1,6 +1,6 @@
 import fs from 'fs/promises'
 import path from 'path'
-import { broadcastToSession } from '../api/websocket.js'
+import { broadcastToSession } from './websocket.js'
 
 /**
  * ProcessingLogger - Módulo para manejo de logs y captura de imágenes procesadas
@@ -11,11 +11,43 @@ import { broadcastToSession } from '../api/websocket.js'
  * - Gestionar el estado de una sesión de procesamiento
  */
 export class ProcessingLogger {
-  constructor(sessionId) {
+  /**
+   * @param {string} sessionId - ID único de la sesión
+   * @param {Object} options - { quiet: no escribir los logs en consola }
+   */
+  constructor(sessionId, { quiet = false } = {}) {
     this.sessionId = sessionId
+    this.quiet = quiet
     this.logs = []
     this.processedImages = []
     this.startTime = Date.now()
+    this.listeners = new Set()
+  }
+
+  /**
+   * Registra un listener que recibe cada evento enviado por WebSocket
+   * @param {Function} listener - (event) => void, con event.type 'log', 'processed_image', 'progress' o 'session_complete'
+   * @returns {Function} - Función para quitar el listener
+   */
+  onEvent(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * Envía un evento a los clientes suscritos a la sesión y a los listeners
+   * @param {Object} event - Evento con su `type`
+   */
+  emit(event) {
+    broadcastToSession(this.sessionId, event)
+
+    for (const listener of this.listeners) {
+      try {
+        listener(event)
+      } catch (error) {
+        console.error('Error in processing logger listener:', error)
+      }
+    }
   }
 
   /**
@@ -34,10 +66,12 @@ export class ProcessingLogger {
     }
     
     this.logs.push(logEntry)
-    console.log(`[${type.toUpperCase()}] ${message}`)
+    if (!this.quiet) {
+      console.log(`[${type.toUpperCase()}] ${message}`)
+    }
     
     // Enviar log via WebSocket en tiempo real
-    broadcastToSession(this.sessionId, {
+    this.emit({
       type: 'log',
       ...logEntry
     })
@@ -109,7 +143,7 @@ export class ProcessingLogger {
       this.processedImages.push(processedImage)
       
       // Enviar imagen via WebSocket
-      broadcastToSession(this.sessionId, {
+      this.emit({
         type: 'processed_image',
         ...processedImage
       })
@@ -141,7 +175,7 @@ export class ProcessingLogger {
     })
     
     // Enviar progreso específico via WebSocket
-    broadcastToSession(this.sessionId, {
+    this.emit({
       type: 'progress',
       operation,
       current,
@@ -172,7 +206,7 @@ export class ProcessingLogger {
     this.timing('Análisis total')
     
     // Enviar resumen final
-    broadcastToSession(this.sessionId, {
+    this.emit({
       type: 'session_complete',
       sessionId: this.sessionId,
       totalLogs: this.logs.length,
@@ -251,10 +285,11 @@ export class ProcessingLogger {
 /**
  * Factory function para crear un logger de procesamiento
  * @param {string} sessionId - ID único de la sesión
+ * @param {Object} options - Opciones del logger ({ quiet })
  * @returns {ProcessingLogger} - Instancia del logger
  */
-export function createProcessingLogger(sessionId) {
-  return new ProcessingLogger(sessionId)
+export function createProcessingLogger(sessionId, options = {}) {
+  return new ProcessingLogger(sessionId, options)
 }
 
 /**
@@ -272,10 +307,18 @@ export const LOG_TYPES = {
  */
 export const PROCESSING_STEPS = {
   ORIGINAL: 'original',
+  VEHICLE_DETECTED: 'vehicle_detected',
   CROPPED: 'cropped',
   FOCUSED: 'focused',
   HIGH_CONTRAST: 'high_contrast',
   EDGE_ENHANCED: 'edge_enhanced',
   UPSCALED: 'upscaled',
+  GRAYSCALE: 'grayscale',
+  EDGE_DETECTION: 'edge_detection',
+  CONTOURS_FOUND: 'contours_found',
+  PLATE_EXTRACTED: 'plate_extracted',
+  PERSPECTIVE_CORRECTED: 'perspective_corrected',
+  FINAL_NORMALIZED: 'final_normalized',
+  CHARACTERS_SEGMENTED: 'characters_segmented',
   OCR_RESULT: 'ocr_result'
 }
\ No newline at end of file
@@ -0,0 +1,301 @@
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+import { compilePlateQuery, bestPlateMatch, SEARCH_DEFAULTS } from './plate-search.js'
+
+/**
+ * Session store - Historial persistente de análisis en un archivo JSON-lines
+ *
+ * Cada análisis terminado agrega una línea con sus resultados, candidatos, logs,
+ * referencias a las imágenes procesadas y tiempos. Agregar una línea no reescribe
+ * el archivo, así que guardar es barato aunque el historial crezca; las lecturas
+ * se cachean hasta que el archivo cambia.
+ */
+
+export const SESSIONS_PATH = process.env.SESSIONS_PATH ||
+  path.join(process.cwd(), '.data', 'sessions.jsonl')
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+const MAX_SEARCH_DISTANCE = 5
+
+let pending = Promise.resolve()
+let cachedSessions = []
+let cachedVersion = null
+
+/**
+ * Hash SHA-256 de la imagen analizada, para reconocer la misma entrada en varias corridas
+ * @param {Buffer} buffer - Imagen
+ * @returns {string} - Hash en hexadecimal
+ */
+export function hashImage(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex')
+}
+
+/**
+ * Registro persistente de un análisis a partir de su respuesta
+ * @param {Object} params - { response, logger, imageHash, originalName }
+ * @returns {Object} - Registro de la sesión
+ */
+export function buildSessionRecord({ response, logger, imageHash, originalName = null }) {
+  return {
+    id: response.sessionId,
+    createdAt: new Date(logger.startTime).toISOString(),
+    imageHash,
+    originalName,
+    pipeline: response.pipeline,
+    profile: response.profile,
+    pipelineParams: response.pipelineParams,
+    processingTimeMs: response.processingTimeMs,
+
+    vehicle: {
+      hasVehicle: response.hasVehicle,
+      vehicleType: response.vehicleType,
+      confidence: response.vehicleConfidence,
+      attributes: response.vehicleAttributes,
+      omitted: response.vehiclesOmitted
+    },
+    vehicles: response.vehicles,
+
+    plate: {
+      hasPlate: response.hasPlate,
+      plateText: response.plateText,
+      confidence: response.plateConfidence,
+      processingMethod: response.processingMethod,
+      plateInfo: response.plateInfo,
+      correction: response.plateCorrection,
+      consensus: response.plateConsensus
+    },
+    candidates: response.debug.alternativePlates,
+    watchlistHits: response.watchlistHits || [],
+
+    logs: logger.getLogs(),
+    processedImages: logger.getProcessedImages().map(({ filename, url, description, stepName, timestamp }) =>
+      ({ filename, url, description, stepName, timestamp })),
+    timings: response.debug.stepTimings
+  }
+}
+
+/**
+ * Agrega una sesión al historial
+ * @param {Object} record - Registro de buildSessionRecord
+ * @returns {Promise<void>}
+ */
+export function recordSession(record) {
+  // Las escrituras se encadenan para que dos análisis simultáneos no intercalen líneas
+  const run = pending.then(async () => {
+    await fs.mkdir(path.dirname(SESSIONS_PATH), { recursive: true })
+    await fs.appendFile(SESSIONS_PATH, JSON.stringify(record) + '\n')
+  })
+  pending = run.catch(() => {})
+  return run
+}
+
+/**
+ * Lee todas las sesiones, de la más antigua a la más reciente.
+ * Las líneas dañadas (p. ej. una escritura interrumpida) se omiten
+ * @returns {Promise<Array<Object>>} - Registros
+ */
+export async function loadSessions() {
+  let stats
+  try {
+    stats = await fs.stat(SESSIONS_PATH)
+  } catch (error) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+
+  const version = `${stats.mtimeMs}:${stats.size}`
+  if (version === cachedVersion) return cachedSessions
+
+  const content = await fs.readFile(SESSIONS_PATH, 'utf8')
+  const sessions = []
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue
+    try {
+      sessions.push(JSON.parse(line))
+    } catch {
+      // Línea incompleta: se ignora
+    }
+  }
+
+  cachedSessions = sessions
+  cachedVersion = version
+  return sessions
+}
+
+/**
+ * Resumen de una sesión para listados (sin logs ni candidatos)
+ * @param {Object} session - Registro completo
+ * @returns {Object} - Resumen
+ */
+export function summarizeSession(session) {
+  return {
+    id: session.id,
+    createdAt: session.createdAt,
+    originalName: session.originalName,
+    imageHash: session.imageHash,
+    pipeline: session.pipeline,
+    profile: session.profile,
+    processingTimeMs: session.processingTimeMs,
+    hasVehicle: session.vehicle.hasVehicle,
+    vehicleType: session.vehicle.vehicleType,
+    vehicleCount: session.vehicles?.length || 0,
+    hasPlate: session.plate.hasPlate,
+    plateText: session.plate.plateText,
+    plateConfidence: session.plate.confidence,
+    country: session.plate.plateInfo?.country || null,
+    flagged: session.watchlistHits?.length > 0,
+    thumbnail: session.processedImages.find(image => image.stepName === 'original')?.url || null
+  }
+}
+
+const compactPlate = (text) => (text || '').toUpperCase().replace(/[^A-Z0-9]/g, '')
+
+/**
+ * Filtros del listado. Todos son opcionales y se combinan
+ */
+const SESSION_FILTERS = {
+  // Texto de placa contenido en la lectura, sin separadores
+  plate: (session, value) => compactPlate(session.plate.plateText).includes(compactPlate(value)),
+  pipeline: (session, value) => session.pipeline === value || session.profile === value,
+  hasPlate: (session, value) => session.plate.hasPlate === value,
+  flagged: (session, value) => (session.watchlistHits?.length > 0) === value,
+  country: (session, value) => session.plate.plateInfo?.country === value.toUpperCase(),
+  vehicleType: (session, value) => (session.vehicles || []).some(vehicle => vehicle.vehicleType === value),
+  imageHash: (session, value) => session.imageHash === value,
+  from: (session, value) => session.createdAt >= value,
+  to: (session, value) => session.createdAt <= value
+}
+
+const matchesFilters = (session, filters) =>
+  Object.entries(filters).every(([name, value]) => SESSION_FILTERS[name](session, value))
+
+/**
+ * Convierte los parámetros de consulta en filtros validados
+ * @param {Object} query - Query string de la petición
+ * @returns {Object} - { filters, page, limit }
+ * @throws {Error} - Si un parámetro es inválido
+ */
+export function parseSessionQuery(query = {}) {
+  const filters = {}
+
+  for (const name of ['plate', 'pipeline', 'country', 'vehicleType', 'imageHash']) {
+    if (typeof query[name] === 'string' && query[name].trim() !== '') filters[name] = query[name].trim()
+  }
+
+  for (const name of ['hasPlate', 'flagged']) {
+    if (query[name] === undefined || query[name] === '') continue
+    if (!['true', 'false'].includes(query[name])) throw new Error(`${name} debe ser true o false`)
+    filters[name] = query[name] === 'true'
+  }
+
+  for (const name of ['from', 'to']) {
+    if (!query[name]) continue
+    const date = new Date(query[name])
+    if (Number.isNaN(date.getTime())) throw new Error(`${name} debe ser una fecha ISO, p. ej. 2025-01-31`)
+    // `to` con sólo la fecha incluye todo ese día
+    if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[name])) date.setUTCHours(23, 59, 59, 999)
+    filters[name] = date.toISOString()
+  }
+
+  const page = query.page === undefined ? 1 : Number(query.page)
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit)
+  if (!Number.isInteger(page) || page < 1) throw new Error('page debe ser un entero mayor que 0')
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`limit debe ser un entero entre 1 y ${MAX_PAGE_SIZE}`)
+  }
+
+  return { filters, page, limit }
+}
+
+/**
+ * Lista sesiones filtradas, de la más reciente a la más antigua
+ * @param {Object} params - { filters, page, limit } (ver parseSessionQuery)
+ * @returns {Promise<Object>} - { sessions (resúmenes), total, page, limit, pages }
+ */
+export async function listSessions({ filters = {}, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const sessions = await loadSessions()
+  const matching = sessions
+    .filter(session => matchesFilters(session, filters))
+    .reverse()
+
+  return {
+    sessions: matching.slice((page - 1) * limit, page * limit).map(summarizeSession),
+    total: matching.length,
+    page,
+    limit,
+    pages: Math.ceil(matching.length / limit)
+  }
+}
+
+/**
+ * Convierte los parámetros de una búsqueda de placa: `q`, `mode` y `maxDistance`,
+ * más los filtros y la paginación del listado (excepto `plate`)
+ * @param {Object} query - Query string de la petición
+ * @returns {Object} - { search (compilePlateQuery), filters, page, limit }
+ * @throws {Error} - Si un parámetro es inválido
+ */
+export function parseSearchQuery(query = {}) {
+  const { plate, ...rest } = query
+  const { filters, page, limit } = parseSessionQuery(rest)
+
+  const maxDistance = query.maxDistance === undefined ? SEARCH_DEFAULTS.maxDistance : Number(query.maxDistance)
+  if (!Number.isFinite(maxDistance) || maxDistance < 0 || maxDistance > MAX_SEARCH_DISTANCE) {
+    throw new Error(`maxDistance debe ser un número entre 0 y ${MAX_SEARCH_DISTANCE}`)
+  }
+
+  const search = compilePlateQuery(query.q, { mode: query.mode || 'auto', maxDistance })
+  return { search, filters, page, limit }
+}
+
+// Todas las lecturas de una sesión: la placa elegida, la de cada vehículo y los candidatos descartados
+function sessionReads(session) {
+  return [
+    { plateText: session.plate.plateText, confidence: session.plate.confidence, source: 'plate' },
+    ...(session.vehicles || []).flatMap(vehicle => (vehicle.plates || [])
+      .map(plate => ({ plateText: plate.plateText, confidence: plate.confidence, source: `vehicle_${vehicle.index}` }))),
+    // Los candidatos se guardan como `debug.alternativePlates`: el texto está en `text`
+    ...(session.candidates || [])
+      .map(candidate => ({ plateText: candidate.text, confidence: candidate.confidence, source: 'candidate' }))
+  ]
+}
+
+/**
+ * Busca una placa en todas las lecturas guardadas.
+ * Ordena por `score` (similitud y confianza de la lectura) y después por fecha
+ * @param {Object} params - { search, filters, page, limit } (ver parseSearchQuery)
+ * @returns {Promise<Object>} - { sessions (resúmenes con `match`), total, page, limit, pages, mode }
+ */
+export async function searchSessions({ search, filters = {}, page = 1, limit = DEFAULT_PAGE_SIZE }) {
+  const sessions = await loadSessions()
+  const matching = []
+
+  for (const session of sessions) {
+    if (!matchesFilters(session, filters)) continue
+    const match = bestPlateMatch(search, sessionReads(session))
+    if (match) matching.push({ session, match })
+  }
+
+  matching.sort((a, b) => b.match.score - a.match.score || b.session.createdAt.localeCompare(a.session.createdAt))
+
+  return {
+    mode: search.mode,
+    sessions: matching.slice((page - 1) * limit, page * limit)
+      .map(({ session, match }) => ({ ...summarizeSession(session), match })),
+    total: matching.length,
+    page,
+    limit,
+    pages: Math.ceil(matching.length / limit)
+  }
+}
+
+/**
+ * Obtiene una sesión completa por id (la más reciente si el id se repitió)
+ * @param {string} id - sessionId
+ * @returns {Promise<Object|null>} - Registro o null
+ */
+export async function getRecordedSession(id) {
+  const sessions = await loadSessions()
+  return sessions.findLast(session => session.id === id) || null
+}
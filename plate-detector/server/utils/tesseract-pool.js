@@ -0,0 +1,229 @@
+import Tesseract from 'tesseract.js'
+
+/**
+ * Tesseract pool - Workers de Tesseract compartidos entre análisis
+ *
+ * Crear y terminar un worker cuesta más que leer una placa, así que los workers
+ * se crean una sola vez por idioma con los parámetros de placa ya fijados y se
+ * prestan a cada lectura. Si todos están ocupados, la lectura espera su turno.
+ * Sólo el modo de segmentación de página cambia entre lecturas.
+ */
+
+// Workers por idioma; cada uno carga su propio modelo de Tesseract
+export const OCR_POOL_SIZE = Math.max(1, Number(process.env.OCR_POOL_SIZE) || 2)
+
+// Parámetros de placa: sólo mayúsculas, dígitos y guion, sin espacios entre palabras
+export const OCR_PARAMETERS = {
+  tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-',
+  preserve_interword_spaces: '0',
+  tessedit_char_blacklist: '!@#$%^&*()_+=[]{}|;:,.<>?/~`"\'\\',
+  classify_bln_numeric_mode: '0'
+}
+
+const pools = new Map()
+
+/**
+ * Crea un pool de workers para un idioma. Los workers se inicializan en segundo plano
+ * @param {string} language - Idioma de Tesseract
+ * @param {number} size - Número de workers
+ * @returns {Object} - Pool
+ */
+function createTesseractPool(language, size) {
+  const pool = {
+    language,
+    size,
+    createdAt: Date.now(),
+    workers: [],
+    waiting: [],
+    completed: 0,
+    failed: 0,
+    busyMs: 0,
+    waitMs: 0,
+    maxWaiting: 0,
+    initMs: null,
+    ready: null,
+    // Pool descartado (falló la inicialización o se terminó): los workers que terminen de
+    // inicializarse después ya no se usan y se cierran
+    closed: false
+  }
+
+  pool.ready = Promise.all(Array.from({ length: size }, async (_, index) => {
+    const slot = { index, worker: null, busy: false, pageSegMode: null, onProgress: null }
+    slot.worker = await Tesseract.createWorker(language, 1, {
+      logger: (m) => slot.onProgress?.(m)
+    })
+
+    try {
+      await slot.worker.setParameters(OCR_PARAMETERS)
+    } catch (error) {
+      slot.worker.terminate().catch(() => {})
+      throw error
+    }
+
+    if (pool.closed) {
+      slot.worker.terminate().catch(() => {})
+      return
+    }
+    pool.workers.push(slot)
+    dispatch(pool)
+  })).then(() => {
+    pool.initMs = Date.now() - pool.createdAt
+    return pool
+  })
+
+  // Si falla la inicialización se descarta el pool para reintentar en la siguiente lectura
+  pool.ready.catch(() => {
+    pool.closed = true
+    if (pools.get(language) === pool) pools.delete(language)
+    for (const { reject } of pool.waiting.splice(0)) reject(new Error(`No se pudo inicializar Tesseract (${language})`))
+    for (const slot of pool.workers) slot.worker.terminate().catch(() => {})
+  })
+
+  return pool
+}
+
+// Entrega los workers libres a las lecturas en espera, en orden de llegada
+function dispatch(pool) {
+  for (const slot of pool.workers) {
+    if (pool.waiting.length === 0) return
+    if (slot.busy) continue
+
+    const waiter = pool.waiting.shift()
+    slot.busy = true
+    waiter.resolve(slot)
+  }
+}
+
+function acquire(pool, signal) {
+  signal?.throwIfAborted()
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const index = pool.waiting.indexOf(waiter)
+      if (index === -1) return
+      pool.waiting.splice(index, 1)
+      reject(signal.reason)
+    }
+
+    // La señal puede durar más que la espera (un trabajo hace muchas lecturas): se quita
+    // el listener en cuanto la lectura recibe un worker o se rechaza
+    const waiter = {
+      resolve: (slot) => {
+        signal?.removeEventListener('abort', onAbort)
+        resolve(slot)
+      },
+      reject: (error) => {
+        signal?.removeEventListener('abort', onAbort)
+        reject(error)
+      }
+    }
+    pool.waiting.push(waiter)
+    pool.maxWaiting = Math.max(pool.maxWaiting, pool.waiting.length)
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+
+    dispatch(pool)
+  })
+}
+
+function release(pool, slot) {
+  slot.busy = false
+  slot.onProgress = null
+  dispatch(pool)
+}
+
+/**
+ * Pool del idioma indicado; se crea en la primera llamada
+ * @param {string} language - Idioma de Tesseract
+ * @returns {Object} - Pool
+ */
+export function getTesseractPool(language = 'eng') {
+  if (!pools.has(language)) {
+    pools.set(language, createTesseractPool(language, OCR_POOL_SIZE))
+  }
+  return pools.get(language)
+}
+
+/**
+ * Inicializa los workers de un idioma y espera a que estén listos
+ * @param {string} language - Idioma de Tesseract
+ * @returns {Promise<Object>} - Pool listo
+ */
+export function initTesseractPool(language = 'eng') {
+  return getTesseractPool(language).ready
+}
+
+/**
+ * Lee una imagen con un worker del pool
+ * @param {Buffer|string} image - Imagen o ruta
+ * @param {Object} options - { pageSegMode, language, onProgress(m), signal }
+ * @returns {Promise<Object>} - data de Tesseract con text, confidence y blocks
+ */
+export async function recognizeWithPool(image, { pageSegMode = '7', language = 'eng', onProgress = null, signal = null } = {}) {
+  const pool = getTesseractPool(language)
+  const requestedAt = Date.now()
+  const slot = await acquire(pool, signal)
+  const startedAt = Date.now()
+  pool.waitMs += startedAt - requestedAt
+
+  try {
+    if (slot.pageSegMode !== pageSegMode) {
+      await slot.worker.setParameters({ tessedit_pageseg_mode: pageSegMode })
+      slot.pageSegMode = pageSegMode
+    }
+    slot.onProgress = onProgress
+
+    const { data } = await slot.worker.recognize(image, {}, { text: true, blocks: true })
+    pool.completed++
+    return data
+  } catch (error) {
+    pool.failed++
+    throw error
+  } finally {
+    pool.busyMs += Date.now() - startedAt
+    release(pool, slot)
+  }
+}
+
+/**
+ * Estadísticas de uso de los pools
+ * @returns {Array<Object>} - Por idioma: { language, size, ready, initMs, busy, idle, waiting, maxWaiting,
+ *   completed, failed, utilization (0 a 1 desde la creación), avgWaitMs, avgRecognitionMs }
+ */
+export function getOcrPoolStats() {
+  return [...pools.values()].map(pool => {
+    const busy = pool.workers.filter(slot => slot.busy).length
+    const recognitions = pool.completed + pool.failed
+    const elapsed = (Date.now() - pool.createdAt) * pool.size
+
+    return {
+      language: pool.language,
+      size: pool.size,
+      ready: pool.workers.length,
+      initMs: pool.initMs,
+      busy,
+      idle: pool.workers.length - busy,
+      waiting: pool.waiting.length,
+      maxWaiting: pool.maxWaiting,
+      completed: pool.completed,
+      failed: pool.failed,
+      utilization: elapsed > 0 ? Number((pool.busyMs / elapsed).toFixed(3)) : 0,
+      avgWaitMs: recognitions > 0 ? Math.round(pool.waitMs / recognitions) : 0,
+      avgRecognitionMs: recognitions > 0 ? Math.round(pool.busyMs / recognitions) : 0
+    }
+  })
+}
+
+/**
+ * Termina todos los workers (al apagar el servidor)
+ */
+export async function terminateTesseractPools() {
+  const current = [...pools.values()]
+  pools.clear()
+
+  for (const pool of current) {
+    pool.closed = true
+    for (const { reject } of pool.waiting.splice(0)) reject(new Error('Pool de Tesseract terminado'))
+    await Promise.all(pool.workers.map(slot => slot.worker.terminate().catch(() => {})))
+  }
+}
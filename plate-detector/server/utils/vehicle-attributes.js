@@ -0,0 +1,247 @@
+import sharp from 'sharp'
+
+/**
+ * Vehicle attributes - Color de carrocería y tipo de carrocería aproximado
+ *
+ * Sirven para cotejar una lectura de placa con el vehículo esperado:
+ * - Color: histograma de colores con nombre sobre la banda de carrocería del recuadro
+ *   (cofre, puertas y cajuela), sin la franja de cristales ni los márgenes de fondo.
+ *   Se descartan además los píxeles parecidos al fondo, cuyo color medio se obtiene
+ *   con las estadísticas de sharp sobre las franjas a los lados del vehículo.
+ * - Carrocería: clase de COCO-SSD más la proporción del recuadro. Es una estimación
+ *   gruesa: la proporción depende del ángulo de la cámara.
+ */
+
+/**
+ * Parámetros por defecto
+ */
+export const ATTRIBUTE_DEFAULTS = {
+  bodyBand: [0.45, 0.85],   // Filas de la carrocería, relativas al alto del recuadro (arriba quedan los cristales)
+  sideMargin: 0.1,          // Columnas descartadas a cada lado (fondo entre llantas y espejos)
+  sampleWidth: 96,          // Ancho al que se reduce la banda para contar colores
+  backgroundDistance: 40,   // Distancia RGB máxima para considerar un píxel como fondo
+  minPixels: 50
+}
+
+/**
+ * Colores con nombre. Se clasifican en HSV: primero los neutros por brillo y saturación,
+ * después por tono
+ */
+export const VEHICLE_COLORS = {
+  black: 'Negro',
+  white: 'Blanco',
+  silver: 'Plata',
+  gray: 'Gris',
+  red: 'Rojo',
+  orange: 'Naranja',
+  yellow: 'Amarillo',
+  green: 'Verde',
+  blue: 'Azul',
+  purple: 'Morado',
+  brown: 'Café',
+  beige: 'Beige'
+}
+
+/**
+ * Tipos de carrocería
+ */
+export const BODY_TYPES = {
+  sedan: 'Sedán',
+  suv: 'SUV',
+  pickup: 'Pickup',
+  van: 'Van',
+  truck: 'Camión',
+  bus: 'Autobús',
+  motorcycle: 'Motocicleta',
+  bicycle: 'Bicicleta'
+}
+
+function rgbToHsv(r, g, b) {
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const delta = max - min
+
+  let hue = 0
+  if (delta > 0) {
+    if (max === r) hue = 60 * (((g - b) / delta) % 6)
+    else if (max === g) hue = 60 * ((b - r) / delta + 2)
+    else hue = 60 * ((r - g) / delta + 4)
+  }
+  if (hue < 0) hue += 360
+
+  return { hue, saturation: max === 0 ? 0 : delta / max, value: max / 255 }
+}
+
+/**
+ * Nombre del color de un píxel
+ * @param {number} r - Rojo (0-255)
+ * @param {number} g - Verde (0-255)
+ * @param {number} b - Azul (0-255)
+ * @returns {string} - Clave de VEHICLE_COLORS
+ */
+export function colorName(r, g, b) {
+  const { hue, saturation, value } = rgbToHsv(r, g, b)
+
+  if (value < 0.2) return 'black'
+  if (saturation < 0.15) {
+    if (value > 0.8) return 'white'
+    if (value > 0.55) return 'silver'
+    return value < 0.3 ? 'black' : 'gray'
+  }
+  if (hue >= 20 && hue < 50 && saturation < 0.35 && value > 0.6) return 'beige'
+  if (hue < 15 || hue >= 330) return value < 0.35 && hue < 15 ? 'brown' : 'red'
+  if (hue < 40) return value < 0.5 ? 'brown' : 'orange'
+  if (hue < 70) return 'yellow'
+  if (hue < 170) return 'green'
+  if (hue < 260) return 'blue'
+  return 'purple'
+}
+
+function clampBox(metadata, [x, y, width, height]) {
+  const left = Math.min(Math.max(0, Math.round(x)), metadata.width - 1)
+  const top = Math.min(Math.max(0, Math.round(y)), metadata.height - 1)
+  return {
+    left,
+    top,
+    width: Math.max(1, Math.min(metadata.width - left, Math.round(width))),
+    height: Math.max(1, Math.min(metadata.height - top, Math.round(height)))
+  }
+}
+
+// Color medio del fondo: franjas de un 10 % del ancho a los lados del recuadro (si caben en la imagen)
+async function backgroundColor(imageBuffer, metadata, box) {
+  const stripWidth = Math.max(4, Math.round(box.width * 0.1))
+  const strips = [
+    { left: box.left - stripWidth, top: box.top, width: stripWidth, height: box.height },
+    { left: box.left + box.width, top: box.top, width: stripWidth, height: box.height }
+  ].filter(strip => strip.left >= 0 && strip.left + strip.width <= metadata.width)
+
+  if (strips.length === 0) return null
+
+  const means = await Promise.all(strips.map(async strip => {
+    // stats() mide la imagen de entrada, así que primero se materializa el recorte
+    const stripBuffer = await sharp(imageBuffer).extract(strip).removeAlpha().png().toBuffer()
+    const { channels } = await sharp(stripBuffer).stats()
+    return channels.slice(0, 3).map(channel => channel.mean)
+  }))
+  return [0, 1, 2].map(c => means.reduce((sum, mean) => sum + mean[c], 0) / means.length)
+}
+
+/**
+ * Color dominante de la carrocería
+ * @param {Buffer} imageBuffer - Imagen completa
+ * @param {Array<number>} bbox - [x, y, ancho, alto] del vehículo
+ * @param {Object} options - Parámetros (ver ATTRIBUTE_DEFAULTS)
+ * @returns {Promise<Object|null>} - { name, label, hex, confidence, pixels, background } o null si no hay píxeles suficientes
+ */
+export async function dominantColor(imageBuffer, bbox, options = {}) {
+  const config = { ...ATTRIBUTE_DEFAULTS, ...options }
+  const metadata = await sharp(imageBuffer).metadata()
+  const box = clampBox(metadata, bbox)
+
+  const [bandTop, bandBottom] = config.bodyBand
+  const band = {
+    left: box.left + Math.round(box.width * config.sideMargin),
+    top: box.top + Math.round(box.height * bandTop),
+    width: Math.max(1, Math.round(box.width * (1 - 2 * config.sideMargin))),
+    height: Math.max(1, Math.round(box.height * (bandBottom - bandTop)))
+  }
+
+  const { data, info } = await sharp(imageBuffer)
+    .extract(clampBox(metadata, [band.left, band.top, band.width, band.height]))
+    .resize({ width: config.sampleWidth, withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+
+  const background = await backgroundColor(imageBuffer, metadata, box)
+  const counts = {}
+  const sums = {}
+  let pixels = 0
+
+  for (let i = 0; i < data.length; i += info.channels) {
+    const r = data[i]
+    const g = data[i + 1]
+    const b = data[i + 2]
+
+    if (background) {
+      const distance = Math.hypot(r - background[0], g - background[1], b - background[2])
+      if (distance < config.backgroundDistance) continue
+    }
+
+    const name = colorName(r, g, b)
+    counts[name] = (counts[name] || 0) + 1
+    sums[name] = sums[name] || [0, 0, 0]
+    sums[name][0] += r
+    sums[name][1] += g
+    sums[name][2] += b
+    pixels++
+  }
+
+  if (pixels < config.minPixels) return null
+
+  // Llantas, parrilla y sombras son oscuras: el negro sólo gana si cubre casi la mitad de la banda
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1])
+  const [name, count] = ranked[0][0] === 'black' && ranked[1] && ranked[0][1] < pixels * 0.45
+    ? ranked[1]
+    : ranked[0]
+  const hex = '#' + sums[name].map(sum => Math.round(sum / count).toString(16).padStart(2, '0')).join('')
+
+  return {
+    name,
+    label: VEHICLE_COLORS[name],
+    hex,
+    confidence: Number((count / pixels).toFixed(3)),
+    pixels,
+    background: background ? background.map(Math.round) : null
+  }
+}
+
+/**
+ * Tipo de carrocería aproximado a partir de la clase de COCO-SSD y la proporción del recuadro.
+ * De frente o de atrás (recuadro casi cuadrado) una SUV o una van son más altas que un sedán;
+ * de lado (recuadro alargado) un sedán es más bajo y largo
+ * @param {string} vehicleClass - Clase de COCO-SSD
+ * @param {Array<number>} bbox - [x, y, ancho, alto]
+ * @returns {Object} - { type, label, confidence, reason }
+ */
+export function estimateBodyType(vehicleClass, bbox) {
+  const [, , width, height] = bbox
+  const ratio = height / width
+  const body = (type, confidence, reason) => ({ type, label: BODY_TYPES[type], confidence, reason })
+
+  if (['bus', 'motorcycle', 'bicycle'].includes(vehicleClass)) {
+    return body(vehicleClass, 0.9, `Clase ${vehicleClass} de COCO-SSD`)
+  }
+
+  const view = ratio < 0.55 ? 'lateral' : 'frontal'
+  const proportion = `alto/ancho ${ratio.toFixed(2)}, vista ${view}`
+
+  if (vehicleClass === 'truck') {
+    if (view === 'frontal' && ratio > 1.1) return body('truck', 0.5, `Camión: recuadro más alto que ancho (${proportion})`)
+    if (view === 'frontal' && ratio > 0.9) return body('van', 0.45, `Van: frente alto (${proportion})`)
+    return body('pickup', 0.45, `Pickup: clase truck de perfil bajo (${proportion})`)
+  }
+
+  if (view === 'frontal') {
+    return ratio > 0.85
+      ? body('suv', 0.4, `SUV: frente alto (${proportion})`)
+      : body('sedan', 0.4, `Sedán: frente bajo (${proportion})`)
+  }
+  return ratio > 0.45
+    ? body('suv', 0.35, `SUV: perfil alto (${proportion})`)
+    : body('sedan', 0.35, `Sedán: perfil bajo y largo (${proportion})`)
+}
+
+/**
+ * Atributos de un vehículo detectado
+ * @param {Buffer} imageBuffer - Imagen completa
+ * @param {Object} vehicle - { bbox, vehicleType }
+ * @returns {Promise<Object>} - { color, bodyType }
+ */
+export async function extractVehicleAttributes(imageBuffer, vehicle) {
+  return {
+    color: await dominantColor(imageBuffer, vehicle.bbox),
+    bodyType: estimateBodyType(vehicle.vehicleType, vehicle.bbox)
+  }
+}
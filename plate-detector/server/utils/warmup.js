@@ -0,0 +1,130 @@
+import { createProcessingLogger } from './processing-logger.js'
+import { loadCarDetectionModel, getCarDetectionModelInfo } from './pipeline/steps/vehicle-detection.js'
+import { initTesseractPool, getOcrPoolStats, OCR_POOL_SIZE } from './tesseract-pool.js'
+import { loadCharacterClassifier, CHARACTER_MODEL_DIR } from './character-classifier.js'
+
+/**
+ * Warm-up - Carga de modelos y workers al iniciar el servidor
+ *
+ * Sin precarga, la primera petición espera a COCO-SSD y a los workers de Tesseract.
+ * El servidor escucha desde el inicio (liveness); está listo (readiness) cuando
+ * cargaron el modelo de vehículos y el pool de Tesseract. El clasificador de
+ * caracteres es opcional: si no está entrenado no impide estar listo.
+ */
+
+export const WARMUP_STATUS = {
+  PENDING: 'pending',
+  LOADING: 'loading',
+  READY: 'ready',
+  FAILED: 'failed',
+  UNAVAILABLE: 'unavailable'
+}
+
+// Idioma de Tesseract que se precarga (el de todos los pipelines incluidos)
+const WARMUP_LANGUAGE = 'eng'
+
+const state = {
+  status: WARMUP_STATUS.PENDING,
+  startedAt: null,
+  finishedAt: null,
+  durationMs: null,
+  components: {
+    vehicleModel: { status: WARMUP_STATUS.PENDING, required: true, loadMs: null, error: null },
+    ocrWorkers: { status: WARMUP_STATUS.PENDING, required: true, loadMs: null, error: null },
+    characterClassifier: { status: WARMUP_STATUS.PENDING, required: false, loadMs: null, error: null }
+  }
+}
+
+let warmupPromise = null
+
+// Carga un componente y registra su estado y tiempo
+async function warmComponent(name, load) {
+  const component = state.components[name]
+  const startedAt = Date.now()
+  component.status = WARMUP_STATUS.LOADING
+
+  try {
+    await load()
+    component.status = WARMUP_STATUS.READY
+    component.error = null
+  } catch (error) {
+    component.status = component.required ? WARMUP_STATUS.FAILED : WARMUP_STATUS.UNAVAILABLE
+    component.error = error.message
+  }
+  component.loadMs = Date.now() - startedAt
+}
+
+/**
+ * Precarga los modelos y workers (una sola vez; las llamadas siguientes esperan la misma carga)
+ * @returns {Promise<Object>} - Estado del warm-up
+ */
+export function warmUp() {
+  if (!warmupPromise) warmupPromise = runWarmup()
+  return warmupPromise
+}
+
+async function runWarmup() {
+  const logger = createProcessingLogger('warmup')
+  state.status = WARMUP_STATUS.LOADING
+  state.startedAt = new Date().toISOString()
+  const startedAt = Date.now()
+
+  logger.info('🔥 Precargando modelos y workers de OCR...')
+
+  // En secuencia, para que el `loadMs` de cada componente en /api/ready mida su propia carga
+  await warmComponent('vehicleModel', () => loadCarDetectionModel(logger))
+  await warmComponent('ocrWorkers', () => initTesseractPool(WARMUP_LANGUAGE))
+  await warmComponent('characterClassifier', () => loadCharacterClassifier(logger))
+
+  state.durationMs = Date.now() - startedAt
+  state.finishedAt = new Date().toISOString()
+  state.status = isReady() ? WARMUP_STATUS.READY : WARMUP_STATUS.FAILED
+
+  for (const [name, component] of Object.entries(state.components)) {
+    if (component.error) logger.warning(`⚠️ ${name}: ${component.error}`)
+  }
+
+  if (state.status === WARMUP_STATUS.READY) {
+    logger.success(`✅ Servidor listo en ${(state.durationMs / 1000).toFixed(1)}s`)
+  } else {
+    logger.error('❌ El warm-up no pudo cargar todos los componentes requeridos')
+  }
+  return getWarmupState()
+}
+
+/**
+ * Indica si los componentes requeridos están cargados
+ * @returns {boolean}
+ */
+export function isReady() {
+  return Object.values(state.components)
+    .every(component => !component.required || component.status === WARMUP_STATUS.READY)
+}
+
+/**
+ * Estado del warm-up para /api/ready
+ * @returns {Object} - { ready, status, startedAt, finishedAt, durationMs, components }
+ */
+export function getWarmupState() {
+  const { vehicleModel, ocrWorkers, characterClassifier } = state.components
+  const model = getCarDetectionModelInfo()
+  const pool = getOcrPoolStats().find(stats => stats.language === WARMUP_LANGUAGE)
+
+  return {
+    ready: isReady(),
+    status: state.status,
+    startedAt: state.startedAt,
+    finishedAt: state.finishedAt,
+    durationMs: state.durationMs,
+    components: {
+      vehicleModel: { ...vehicleModel, variant: model.variant, fallback: model.fallback },
+      ocrWorkers: {
+        ...ocrWorkers,
+        language: WARMUP_LANGUAGE,
+        size: OCR_POOL_SIZE,
+        ready: pool?.ready ?? 0
+      },
+      characterClassifier: { ...characterClassifier, modelDir: CHARACTER_MODEL_DIR }
+    }
+  }
+}
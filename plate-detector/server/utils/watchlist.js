@@ -0,0 +1,229 @@
+import path from 'path'
+import { v4 as uuidv4 } from 'uuid'
+import { createJsonStore } from './json-store.js'
+import { normalizePlateText } from './ground-truth.js'
+import { isConfusion } from './plate-search.js'
+
+/**
+ * Watchlist - Listas de placas buscadas (robadas, VIP, prohibidas)
+ *
+ * Después de cada análisis se comparan las placas leídas (la elegida y la de
+ * cada vehículo) con todas las listas. Una lista puede tolerar una sustitución
+ * entre caracteres que el OCR confunde (O/0, B/8...), para no perder un
+ * vehículo buscado por una lectura casi correcta.
+ */
+
+export const WATCHLISTS_PATH = process.env.WATCHLISTS_PATH ||
+  path.join(process.cwd(), '.data', 'watchlists.json')
+
+export const WATCHLIST_LABELS = {
+  stolen: 'Robado',
+  vip: 'VIP',
+  banned: 'Prohibido'
+}
+
+const MAX_PLATE_LENGTH = 15
+const MAX_NAME_LENGTH = 80
+
+const store = createJsonStore(WATCHLISTS_PATH, () => ({ version: 1, watchlists: {} }))
+
+function validatePlates(plates) {
+  if (!Array.isArray(plates)) throw new Error('plates debe ser una lista')
+
+  const seen = new Set()
+  return plates.map((entry) => {
+    const { plateText, note = null } = typeof entry === 'string' ? { plateText: entry } : (entry || {})
+    const text = typeof plateText === 'string' ? plateText.trim().toUpperCase().replace(/\s+/g, '') : ''
+    if (!/^[A-Z0-9-]+$/.test(text) || text.length > MAX_PLATE_LENGTH) {
+      throw new Error(`Placa inválida: ${plateText} (letras, dígitos y guiones, máximo ${MAX_PLATE_LENGTH})`)
+    }
+    if (note !== null && typeof note !== 'string') throw new Error('note debe ser texto')
+
+    const normalized = normalizePlateText(text)
+    if (seen.has(normalized)) throw new Error(`Placa repetida en la lista: ${text}`)
+    seen.add(normalized)
+
+    return { plateText: text, note: note?.trim() || null }
+  })
+}
+
+/**
+ * Valida los campos de una lista
+ * @param {Object} body - { name, label, description, tolerateConfusion, plates: [plateText | { plateText, note }] }
+ * @param {Object} options - { partial: true para actualizaciones con sólo algunos campos }
+ * @returns {Object} - Campos validados
+ * @throws {Error} - Si un campo es inválido
+ */
+export function validateWatchlist(body = {}, { partial = false } = {}) {
+  const fields = {}
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim() === '' || body.name.trim().length > MAX_NAME_LENGTH) {
+      throw new Error(`name es obligatorio (máximo ${MAX_NAME_LENGTH} caracteres)`)
+    }
+    fields.name = body.name.trim()
+  }
+
+  if (!partial || body.label !== undefined) {
+    if (!WATCHLIST_LABELS[body.label]) {
+      throw new Error(`label debe ser uno de: ${Object.keys(WATCHLIST_LABELS).join(', ')}`)
+    }
+    fields.label = body.label
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') throw new Error('description debe ser texto')
+    fields.description = body.description?.trim() || null
+  }
+
+  if (body.tolerateConfusion !== undefined) {
+    if (typeof body.tolerateConfusion !== 'boolean') throw new Error('tolerateConfusion debe ser true o false')
+    fields.tolerateConfusion = body.tolerateConfusion
+  }
+
+  if (!partial || body.plates !== undefined) {
+    fields.plates = validatePlates(body.plates ?? [])
+  }
+
+  return fields
+}
+
+/**
+ * Todas las listas
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listWatchlists() {
+  const data = await store.read()
+  return Object.values(data.watchlists || {})
+}
+
+/**
+ * Obtiene una lista por id
+ * @param {string} id - Id de la lista
+ * @returns {Promise<Object|null>}
+ */
+export async function getWatchlist(id) {
+  const data = await store.read()
+  return data.watchlists?.[id] || null
+}
+
+/**
+ * Crea una lista
+ * @param {Object} body - Ver validateWatchlist
+ * @returns {Promise<Object>} - Lista creada
+ */
+export async function createWatchlist(body) {
+  const now = new Date().toISOString()
+  const watchlist = {
+    id: uuidv4(),
+    description: null,
+    tolerateConfusion: false,
+    ...validateWatchlist(body),
+    createdAt: now,
+    updatedAt: now
+  }
+
+  return store.update((data) => {
+    data.watchlists = data.watchlists || {}
+    data.watchlists[watchlist.id] = watchlist
+    return watchlist
+  })
+}
+
+/**
+ * Actualiza los campos indicados de una lista (`plates` reemplaza la lista completa)
+ * @param {string} id - Id de la lista
+ * @param {Object} body - Campos a cambiar
+ * @returns {Promise<Object|null>} - Lista actualizada o null si no existe
+ */
+export async function updateWatchlist(id, body) {
+  const fields = validateWatchlist(body, { partial: true })
+
+  return store.update((data) => {
+    const watchlist = data.watchlists?.[id]
+    if (!watchlist) return null
+    Object.assign(watchlist, fields, { updatedAt: new Date().toISOString() })
+    return watchlist
+  })
+}
+
+/**
+ * Elimina una lista
+ * @param {string} id - Id de la lista
+ * @returns {Promise<boolean>} - true si existía
+ */
+export async function deleteWatchlist(id) {
+  return store.update((data) => {
+    if (!data.watchlists?.[id]) return false
+    delete data.watchlists[id]
+    return true
+  })
+}
+
+/**
+ * Compara una lectura con una placa de la lista
+ * @param {string} read - Lectura normalizada
+ * @param {string} listed - Placa de la lista normalizada
+ * @param {boolean} tolerateConfusion - Aceptar una sustitución entre caracteres confundibles
+ * @returns {Object|null} - { exact, substitution: { position, read, listed } | null } o null
+ */
+export function comparePlates(read, listed, tolerateConfusion = false) {
+  if (read === listed) return { exact: true, substitution: null }
+  if (!tolerateConfusion || read.length !== listed.length) return null
+
+  const differences = [...read].map((char, position) => ({ position, read: char, listed: listed[position] }))
+    .filter(difference => difference.read !== difference.listed)
+
+  if (differences.length !== 1 || !isConfusion(differences[0].read, differences[0].listed)) return null
+  return { exact: false, substitution: differences[0] }
+}
+
+/**
+ * Busca las placas de un análisis en todas las listas
+ * @param {Object} response - Respuesta de buildAnalysisResponse
+ * @returns {Promise<Array<Object>>} - Coincidencias: { watchlistId, watchlistName, label, labelName,
+ *   plateText (de la lista), note, readText, vehicleIndex, confidence, exact, substitution }
+ */
+export async function matchWatchlists(response) {
+  const watchlists = await listWatchlists()
+  if (watchlists.length === 0) return []
+
+  // La placa elegida y la de cada vehículo, sin repetir
+  const reads = new Map()
+  for (const vehicle of response.vehicles || []) {
+    for (const plate of vehicle.plates || []) {
+      reads.set(normalizePlateText(plate.plateText), { ...plate, vehicleIndex: vehicle.index })
+    }
+  }
+  const main = normalizePlateText(response.plateText)
+  if (main && !reads.has(main)) {
+    reads.set(main, { plateText: response.plateText, confidence: response.plateConfidence, vehicleIndex: null })
+  }
+
+  const hits = []
+  for (const [readText, read] of reads) {
+    if (!readText) continue
+
+    for (const watchlist of watchlists) {
+      for (const entry of watchlist.plates) {
+        const comparison = comparePlates(readText, normalizePlateText(entry.plateText), watchlist.tolerateConfusion)
+        if (!comparison) continue
+
+        hits.push({
+          watchlistId: watchlist.id,
+          watchlistName: watchlist.name,
+          label: watchlist.label,
+          labelName: WATCHLIST_LABELS[watchlist.label],
+          plateText: entry.plateText,
+          note: entry.note,
+          readText: read.plateText,
+          vehicleIndex: read.vehicleIndex,
+          confidence: read.confidence,
+          ...comparison
+        })
+      }
+    }
+  }
+
+  return hits
+}
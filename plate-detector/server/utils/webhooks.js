@@ -0,0 +1,369 @@
+import crypto from 'crypto'
+import path from 'path'
+import { v4 as uuidv4 } from 'uuid'
+import { createJsonStore } from './json-store.js'
+
+/**
+ * Webhooks - Envío de resultados de análisis a sistemas externos
+ *
+ * Cada webhook se suscribe a algunos eventos y recibe por POST el mismo JSON que
+ * devuelve el análisis, firmado con HMAC-SHA256. Un envío fallido se reintenta con
+ * espera exponencial; cada intento queda en el log de entregas del webhook.
+ * Los reintentos pendientes viven en memoria: se pierden si el servidor se reinicia
+ * (la entrega queda como `retrying` en el log).
+ */
+
+export const WEBHOOKS_PATH = process.env.WEBHOOKS_PATH ||
+  path.join(process.cwd(), '.data', 'webhooks.json')
+
+export const WEBHOOK_EVENTS = {
+  analysis_complete: 'Análisis terminado',
+  analysis_error: 'Error en el análisis',
+  watchlist_hit: 'Placa en una lista de vigilancia',
+  no_plate: 'Análisis sin placa'
+}
+
+export const WEBHOOK_DEFAULTS = {
+  maxAttempts: Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5),
+  baseDelayMs: 1000,        // Espera antes del segundo intento; se duplica en cada reintento
+  maxDelayMs: 5 * 60 * 1000,
+  timeoutMs: 10000,
+  logSize: 50               // Entregas que se conservan por webhook
+}
+
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  RETRYING: 'retrying',
+  DELIVERED: 'delivered',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+}
+
+// Respuestas que vale la pena reintentar; otro 4xx indica un error que no se corrige solo
+const RETRYABLE_STATUS = [408, 425, 429]
+
+const store = createJsonStore(WEBHOOKS_PATH, () => ({ version: 1, webhooks: {} }))
+const deliveryStore = createJsonStore(
+  path.join(path.dirname(WEBHOOKS_PATH), 'webhook-deliveries.json'),
+  () => ({ version: 1, deliveries: {} })
+)
+
+const retryTimers = new Map()
+let inFlight = 0
+
+/**
+ * Firma de un envío: HMAC-SHA256 de `${timestamp}.${body}` con el secreto del webhook
+ * @param {string} secret - Secreto del webhook
+ * @param {string|number} timestamp - Segundos Unix del header X-PlateVision-Timestamp
+ * @param {string} body - Cuerpo JSON exacto
+ * @returns {string} - `sha256=<hex>`
+ */
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+/**
+ * Verifica la firma de un envío (para receptores escritos en Node)
+ * @param {string} secret - Secreto del webhook
+ * @param {Object} params - { signature, timestamp, body, toleranceSeconds }
+ * @returns {boolean}
+ */
+export function verifySignature(secret, { signature, timestamp, body, toleranceSeconds = 300 }) {
+  if (!signature || !timestamp) return false
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body))
+  const received = Buffer.from(signature)
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received)
+}
+
+/**
+ * Valida los campos de un webhook
+ * @param {Object} body - { url, events, description, active, secret }
+ * @param {Object} options - { partial: true para actualizaciones con sólo algunos campos }
+ * @returns {Object} - Campos validados
+ * @throws {Error} - Si un campo es inválido
+ */
+export function validateWebhook(body = {}, { partial = false } = {}) {
+  const fields = {}
+
+  if (!partial || body.url !== undefined) {
+    let url
+    try {
+      url = new URL(body.url)
+    } catch {
+      throw new Error('url debe ser una URL válida')
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error('url debe usar http o https')
+    fields.url = url.toString()
+  }
+
+  if (!partial || body.events !== undefined) {
+    const invalid = Array.isArray(body.events) ? body.events.filter(event => !WEBHOOK_EVENTS[event]) : []
+    if (!Array.isArray(body.events) || body.events.length === 0 || invalid.length > 0) {
+      throw new Error(`events debe ser una lista con: ${Object.keys(WEBHOOK_EVENTS).join(', ')}`)
+    }
+    fields.events = [...new Set(body.events)]
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') throw new Error('description debe ser texto')
+    fields.description = body.description?.trim() || null
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') throw new Error('active debe ser true o false')
+    fields.active = body.active
+  }
+
+  if (body.secret !== undefined) {
+    if (typeof body.secret !== 'string' || body.secret.length < 16) throw new Error('secret debe tener al menos 16 caracteres')
+    fields.secret = body.secret
+  }
+
+  return fields
+}
+
+/**
+ * Webhook sin el secreto completo, para listados
+ * @param {Object} webhook - Webhook guardado
+ * @returns {Object}
+ */
+export function serializeWebhook({ secret, ...webhook }) {
+  return { ...webhook, secretPreview: `…${secret.slice(-4)}` }
+}
+
+/**
+ * Todos los webhooks
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listWebhooks() {
+  const data = await store.read()
+  return Object.values(data.webhooks || {})
+}
+
+/**
+ * Obtiene un webhook por id
+ * @param {string} id - Id del webhook
+ * @returns {Promise<Object|null>}
+ */
+export async function getWebhook(id) {
+  const data = await store.read()
+  return data.webhooks?.[id] || null
+}
+
+/**
+ * Registra un webhook. Si no se envía `secret`, se genera uno
+ * @param {Object} body - Ver validateWebhook
+ * @returns {Promise<Object>} - Webhook creado, con el secreto completo
+ */
+export async function createWebhook(body) {
+  const now = new Date().toISOString()
+  const webhook = {
+    id: uuidv4(),
+    description: null,
+    active: true,
+    secret: crypto.randomBytes(32).toString('hex'),
+    ...validateWebhook(body),
+    createdAt: now,
+    updatedAt: now
+  }
+
+  return store.update((data) => {
+    data.webhooks = data.webhooks || {}
+    data.webhooks[webhook.id] = webhook
+    return webhook
+  })
+}
+
+/**
+ * Actualiza los campos indicados de un webhook
+ * @param {string} id - Id del webhook
+ * @param {Object} body - Campos a cambiar
+ * @returns {Promise<Object|null>} - Webhook actualizado o null si no existe
+ */
+export async function updateWebhook(id, body) {
+  const fields = validateWebhook(body, { partial: true })
+
+  return store.update((data) => {
+    const webhook = data.webhooks?.[id]
+    if (!webhook) return null
+    Object.assign(webhook, fields, { updatedAt: new Date().toISOString() })
+    return webhook
+  })
+}
+
+/**
+ * Elimina un webhook, su log de entregas y sus reintentos pendientes
+ * @param {string} id - Id del webhook
+ * @returns {Promise<boolean>} - true si existía
+ */
+export async function deleteWebhook(id) {
+  const deleted = await store.update((data) => {
+    if (!data.webhooks?.[id]) return false
+    delete data.webhooks[id]
+    return true
+  })
+
+  if (deleted) {
+    for (const [deliveryId, { webhookId, timer }] of retryTimers) {
+      if (webhookId !== id) continue
+      clearTimeout(timer)
+      retryTimers.delete(deliveryId)
+    }
+    await deliveryStore.update((data) => {
+      delete data.deliveries?.[id]
+    })
+  }
+  return deleted
+}
+
+/**
+ * Log de entregas de un webhook, de la más reciente a la más antigua
+ * @param {string} id - Id del webhook
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getWebhookDeliveries(id) {
+  const data = await deliveryStore.read()
+  return data.deliveries?.[id] || []
+}
+
+function saveDelivery(delivery) {
+  return deliveryStore.update((data) => {
+    data.deliveries = data.deliveries || {}
+    const log = (data.deliveries[delivery.webhookId] || []).filter(entry => entry.id !== delivery.id)
+    data.deliveries[delivery.webhookId] = [{ ...delivery }, ...log].slice(0, WEBHOOK_DEFAULTS.logSize)
+  })
+}
+
+function retryDelay(attempt) {
+  return Math.min(WEBHOOK_DEFAULTS.baseDelayMs * 2 ** (attempt - 1), WEBHOOK_DEFAULTS.maxDelayMs)
+}
+
+// Un intento de entrega; si falla y quedan intentos, programa el siguiente
+async function attemptDelivery(delivery, body) {
+  retryTimers.delete(delivery.id)
+
+  // El webhook pudo eliminarse o desactivarse mientras esperaba el reintento
+  const webhook = await getWebhook(delivery.webhookId)
+  if (!webhook?.active) {
+    delivery.status = DELIVERY_STATUS.CANCELLED
+    delivery.nextAttemptAt = null
+    if (webhook) await saveDelivery(delivery)
+    return delivery
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000)
+  const startedAt = Date.now()
+  const attempt = { number: delivery.attempts.length + 1, at: new Date().toISOString() }
+  inFlight++
+
+  let retryable = true
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'PlateVision-Webhooks/1.0',
+        'X-PlateVision-Event': delivery.event,
+        'X-PlateVision-Delivery': delivery.id,
+        'X-PlateVision-Timestamp': String(timestamp),
+        'X-PlateVision-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK_DEFAULTS.timeoutMs)
+    })
+    await response.arrayBuffer().catch(() => {})
+
+    attempt.statusCode = response.status
+    attempt.error = response.ok ? null : `HTTP ${response.status}`
+    retryable = response.status >= 500 || RETRYABLE_STATUS.includes(response.status)
+  } catch (error) {
+    attempt.statusCode = null
+    attempt.error = error.name === 'TimeoutError' ? `Sin respuesta en ${WEBHOOK_DEFAULTS.timeoutMs}ms` : error.message
+  } finally {
+    inFlight--
+  }
+
+  attempt.durationMs = Date.now() - startedAt
+  delivery.attempts.push(attempt)
+
+  if (!attempt.error) {
+    delivery.status = DELIVERY_STATUS.DELIVERED
+    delivery.deliveredAt = new Date().toISOString()
+    delivery.nextAttemptAt = null
+  } else if (retryable && attempt.number < WEBHOOK_DEFAULTS.maxAttempts) {
+    const delay = retryDelay(attempt.number)
+    delivery.status = DELIVERY_STATUS.RETRYING
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString()
+
+    const timer = setTimeout(() => {
+      attemptDelivery(delivery, body).catch(error => console.error(`Error delivering webhook ${delivery.id}:`, error.message))
+    }, delay)
+    timer.unref?.()
+    retryTimers.set(delivery.id, { webhookId: webhook.id, timer })
+  } else {
+    delivery.status = DELIVERY_STATUS.FAILED
+    delivery.nextAttemptAt = null
+    console.error(`Webhook ${webhook.id} delivery ${delivery.id} failed after ${attempt.number} attempts: ${attempt.error}`)
+  }
+
+  await saveDelivery(delivery)
+  return delivery
+}
+
+function createDelivery(webhook, event, payload) {
+  return {
+    id: uuidv4(),
+    webhookId: webhook.id,
+    event,
+    sessionId: payload.sessionId || null,
+    status: DELIVERY_STATUS.PENDING,
+    attempts: [],
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: null,
+    deliveredAt: null
+  }
+}
+
+/**
+ * Envía un evento a los webhooks activos suscritos a él
+ * @param {string} event - Clave de WEBHOOK_EVENTS
+ * @param {Object} payload - JSON a enviar (la respuesta del análisis)
+ * @returns {Promise<Array<Object>>} - Entregas tras el primer intento
+ */
+export async function dispatchWebhookEvent(event, payload) {
+  const webhooks = (await listWebhooks()).filter(webhook => webhook.active && webhook.events.includes(event))
+  if (webhooks.length === 0) return []
+
+  const body = JSON.stringify(payload)
+  return Promise.all(webhooks.map(webhook => attemptDelivery(createDelivery(webhook, event, payload), body)))
+}
+
+/**
+ * Encola un evento sin esperar la entrega: los errores sólo se registran
+ * @param {string} event - Clave de WEBHOOK_EVENTS
+ * @param {Object} payload - JSON a enviar
+ */
+export function queueWebhookEvent(event, payload) {
+  dispatchWebhookEvent(event, payload)
+    .catch(error => console.error(`Error dispatching webhook event ${event}:`, error.message))
+}
+
+/**
+ * Envía un evento `ping` a un webhook activo, sin importar sus eventos, para probar el receptor
+ * @param {Object} webhook - Webhook guardado
+ * @returns {Promise<Object>} - Entrega tras el primer intento
+ */
+export async function pingWebhook(webhook) {
+  const payload = { success: true, event: 'ping', webhookId: webhook.id, timestamp: Date.now() }
+  return attemptDelivery(createDelivery(webhook, 'ping', payload), JSON.stringify(payload))
+}
+
+/**
+ * Estado de la cola de entregas
+ * @returns {Object} - { inFlight, retrying }
+ */
+export function getWebhookQueueStats() {
+  return { inFlight, retrying: retryTimers.size }
+}
@@ -0,0 +1,68 @@
+const clients = new Map()
+
+function send(peer, data) {
+  try {
+    peer.send(JSON.stringify(data))
+  } catch (error) {
+    console.error(`Error sending WebSocket message to ${peer.id}:`, error)
+  }
+}
+
+/**
+ * Hooks de la ruta WebSocket (ver server/api/websocket.js).
+ * Este módulo no depende de Nitro para poder usarse desde scripts.
+ */
+export const websocketHooks = {
+  open(peer) {
+    clients.set(peer.id, { peer, sessionId: null })
+    console.log(`WebSocket client connected: ${peer.id}`)
+
+    send(peer, {
+      type: 'welcome',
+      clientId: peer.id,
+      timestamp: Date.now()
+    })
+  },
+
+  message(peer, message) {
+    try {
+      const data = JSON.parse(message.text())
+      const client = clients.get(peer.id)
+
+      switch (data.type) {
+        case 'subscribe':
+          if (client) client.sessionId = data.sessionId || null
+          send(peer, { type: 'subscribed', sessionId: data.sessionId || null, timestamp: Date.now() })
+          break
+        case 'unsubscribe':
+          if (client) client.sessionId = null
+          break
+        case 'ping':
+          send(peer, { type: 'pong', timestamp: Date.now() })
+          break
+      }
+    } catch (error) {
+      console.error('Error parsing WebSocket message:', error)
+    }
+  },
+
+  close(peer) {
+    clients.delete(peer.id)
+    console.log(`WebSocket client disconnected: ${peer.id}`)
+  },
+
+  error(peer, error) {
+    console.error(`WebSocket error for client ${peer.id}:`, error)
+    clients.delete(peer.id)
+  }
+}
+
+export function broadcastToSession(sessionId, data) {
+  clients.forEach(({ peer, sessionId: subscribed }) => {
+    if (subscribed === sessionId) send(peer, data)
+  })
+}
+
+export function broadcast(data) {
+  clients.forEach(({ peer }) => send(peer, data))
+}
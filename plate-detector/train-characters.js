@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+import * as tf from '@tensorflow/tfjs-node'
+import fs from 'fs/promises'
+import path from 'path'
+import sharp from 'sharp'
+import { parseArgs } from 'util'
+import { warpPerspective } from './server/utils/perspective.js'
+import { ENHANCEMENT_VARIATIONS } from './server/utils/pipeline/steps/enhancement.js'
+import { segmentCharacters, characterSample, SEGMENTATION_DEFAULTS } from './server/utils/character-segmentation.js'
+import {
+  buildCharacterModel,
+  concatSamples,
+  CHARACTER_CLASSES,
+  CHARACTER_MODEL_DIR
+} from './server/utils/character-classifier.js'
+import { resolveDatasetImage } from './server/utils/dataset.js'
+import { GROUND_TRUTH_PATH, loadGroundTruth, normalizePlateText } from './server/utils/ground-truth.js'
+
+// Uso: npm run train:characters -- [--epochs 30] [--chars carpeta] [--output models/plate-characters]
+// Las muestras salen de las imágenes etiquetadas con esquinas en el ground truth y, opcionalmente,
+// de una carpeta con una subcarpeta por carácter (A/, B/, 0/...) con imágenes de un solo carácter
+const { values: args } = parseArgs({
+  options: {
+    manifest: { type: 'string', default: GROUND_TRUTH_PATH },
+    chars: { type: 'string' },
+    epochs: { type: 'string', default: '30' },
+    output: { type: 'string', default: CHARACTER_MODEL_DIR }
+  }
+})
+
+const SIZE = SEGMENTATION_DEFAULTS.sampleSize
+
+// Desplazamientos de un píxel para ampliar el conjunto de entrenamiento
+function shiftedCopies(sample) {
+  const copies = []
+  for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+    const shifted = new Float32Array(sample.length)
+    for (let v = 0; v < SIZE; v++) {
+      for (let u = 0; u < SIZE; u++) {
+        const su = u - dx
+        const sv = v - dy
+        if (su >= 0 && sv >= 0 && su < SIZE && sv < SIZE) shifted[v * SIZE + u] = sample[sv * SIZE + su]
+      }
+    }
+    copies.push(shifted)
+  }
+  return copies
+}
+
+// Caracteres de las placas etiquetadas: sólo se usan si la segmentación encuentra tantos como la etiqueta
+async function samplesFromGroundTruth() {
+  const manifest = await loadGroundTruth(args.manifest)
+  const samples = []
+  let used = 0
+  let skipped = 0
+
+  for (const [image, label] of Object.entries(manifest.images)) {
+    if (!label.plateText || !label.corners) continue
+
+    try {
+      const buffer = await fs.readFile(resolveDatasetImage(image))
+      const { buffer: rectified } = await warpPerspective(buffer, label.corners)
+      const metadata = await sharp(rectified).metadata()
+      const { buffer: normalized } = await ENHANCEMENT_VARIATIONS.normalized.apply(rectified, metadata)
+      const { characters } = await segmentCharacters(normalized)
+      const expected = normalizePlateText(label.plateText)
+
+      if (characters.length !== expected.length) {
+        console.log(`⏭️ ${image}: ${characters.length} caracteres segmentados, se esperaban ${expected.length}`)
+        skipped++
+        continue
+      }
+
+      characters.forEach((character, i) => samples.push({ char: expected[i], sample: character.sample }))
+      used++
+    } catch (error) {
+      console.log(`⚠️ ${image}: ${error.message}`)
+      skipped++
+    }
+  }
+
+  console.log(`🏷️ Ground truth: ${used} placas usadas, ${skipped} descartadas`)
+  return samples
+}
+
+// Imágenes de un solo carácter: la carpeta de cada una indica la clase
+async function samplesFromDirectory(directory) {
+  const samples = []
+
+  for (const char of CHARACTER_CLASSES) {
+    const classDir = path.join(directory, char)
+    const files = await fs.readdir(classDir).catch(() => [])
+
+    for (const file of files.filter(name => /\.(jpe?g|png|bmp)$/i.test(name))) {
+      const buffer = await fs.readFile(path.join(classDir, file))
+      const { data, info } = await sharp(buffer).greyscale().raw().toBuffer({ resolveWithObject: true })
+      const { characters } = await segmentCharacters(buffer, { minCharacters: 1, minHeightRatio: 0.3, maxHeightRatio: 1 })
+
+      // Si la imagen no se puede segmentar se usa completa (texto oscuro sobre fondo claro)
+      const sample = characters.length === 1
+        ? characters[0].sample
+        : characterSample(data, info.width, { x: 0, y: 0, width: info.width, height: info.height }, 'dark', SIZE)
+      samples.push({ char, sample })
+    }
+  }
+
+  console.log(`📁 ${directory}: ${samples.length} imágenes de caracteres`)
+  return samples
+}
+
+async function main() {
+  const samples = await samplesFromGroundTruth()
+  if (args.chars) samples.push(...await samplesFromDirectory(args.chars))
+
+  if (samples.length === 0) {
+    console.error('❌ No hay muestras: etiquetar placas con sus esquinas en la galería o indicar --chars')
+    process.exit(1)
+  }
+
+  const augmented = samples.flatMap(({ char, sample }) =>
+    [sample, ...shiftedCopies(sample)].map(copy => ({ char, sample: copy })))
+
+  const counts = {}
+  for (const { char } of augmented) counts[char] = (counts[char] || 0) + 1
+  console.log(`🔤 ${samples.length} muestras (${augmented.length} con desplazamientos), ${Object.keys(counts).length}/${CHARACTER_CLASSES.length} clases`)
+
+  const xs = tf.tensor4d(concatSamples(augmented.map(({ sample }) => sample)), [augmented.length, SIZE, SIZE, 1])
+  const ys = tf.oneHot(tf.tensor1d(augmented.map(({ char }) => CHARACTER_CLASSES.indexOf(char)), 'int32'), CHARACTER_CLASSES.length)
+
+  const model = buildCharacterModel(SIZE)
+  const epochs = Number(args.epochs)
+
+  await model.fit(xs, ys, {
+    epochs,
+    batchSize: 32,
+    shuffle: true,
+    validationSplit: augmented.length >= 50 ? 0.1 : 0,
+    callbacks: {
+      onEpochEnd: (epoch, logs) => {
+        const validation = logs.val_acc !== undefined ? `, validación ${(logs.val_acc * 100).toFixed(1)}%` : ''
+        console.log(`📈 Época ${epoch + 1}/${epochs}: pérdida ${logs.loss.toFixed(4)}, precisión ${(logs.acc * 100).toFixed(1)}%${validation}`)
+      }
+    }
+  })
+
+  await fs.mkdir(args.output, { recursive: true })
+  await model.save(`file://${path.resolve(args.output)}`)
+  await fs.writeFile(path.join(args.output, 'metadata.json'), JSON.stringify({
+    classes: CHARACTER_CLASSES,
+    sampleSize: SIZE,
+    samples: samples.length,
+    samplesPerClass: counts,
+    epochs,
+    trainedAt: new Date().toISOString()
+  }, null, 2) + '\n')
+
+  xs.dispose()
+  ys.dispose()
+  console.log(`💾 Clasificador guardado en ${args.output}`)
+  process.exit(0)
+}
+
+main().catch((error) => {
+  console.error('❌ Error entrenando el clasificador:', error.message)
+  process.exit(1)
+})
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+import http from 'http'
+import { parseArgs } from 'util'
+import { verifySignature } from './server/utils/webhooks.js'
+
+// Uso: npm run webhook:receiver -- [--port 4000] [--secret <secreto>] [--fail 2]
+// Registrar http://localhost:4000 como webhook y copiar el secreto que devuelve la creación.
+// Con --fail N responde 500 a los primeros N envíos para probar los reintentos.
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string', default: '4000' },
+    secret: { type: 'string', default: process.env.WEBHOOK_SECRET },
+    fail: { type: 'string', default: '0' }
+  }
+})
+
+let remainingFailures = Number(args.fail) || 0
+
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+    req.on('error', reject)
+  })
+}
+
+function reply(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method !== 'POST') return reply(res, 405, { error: 'Sólo POST' })
+
+  const body = await readRequestBody(req)
+  const event = req.headers['x-platevision-event']
+  const deliveryId = req.headers['x-platevision-delivery']
+
+  if (args.secret) {
+    const valid = verifySignature(args.secret, {
+      signature: req.headers['x-platevision-signature'],
+      timestamp: req.headers['x-platevision-timestamp'],
+      body
+    })
+    if (!valid) {
+      console.log(`❌ Firma inválida en ${event} (${deliveryId})`)
+      return reply(res, 401, { error: 'Firma inválida' })
+    }
+  }
+
+  if (remainingFailures > 0) {
+    remainingFailures--
+    console.log(`💥 Fallo simulado en ${event} (${deliveryId}), quedan ${remainingFailures}`)
+    return reply(res, 500, { error: 'Fallo simulado' })
+  }
+
+  let payload
+  try {
+    payload = JSON.parse(body)
+  } catch {
+    return reply(res, 400, { error: 'JSON inválido' })
+  }
+
+  const signature = args.secret ? '🔏 firma válida' : '⚠️ sin verificar'
+  console.log(`📨 ${event} (${deliveryId}) · ${signature}`)
+  if (payload.sessionId) {
+    console.log(`   Sesión ${payload.sessionId}: ${payload.plateText || 'sin placa'}`)
+  }
+  if (payload.watchlistHits?.length) {
+    console.log(`   🚨 ${payload.watchlistHits.map(hit => `${hit.labelName} · ${hit.watchlistName}`).join(', ')}`)
+  }
+  if (payload.error) {
+    console.log(`   Error: ${payload.error}`)
+  }
+
+  reply(res, 200, { received: true })
+})
+
+server.listen(Number(args.port), () => {
+  console.log(`🎧 Receptor de webhooks en http://localhost:${args.port}`)
+  if (!args.secret) {
+    console.log('⚠️ Sin --secret: las firmas no se verifican')
+  }
+})